@@ -15,6 +15,9 @@
 (function browserCompatibility() {
   'use strict';
 
+  // Namespaced logger (see logger.js), silent unless ?debug= is set
+  const logger = window.Logger.create('Compatibility');
+
   /**
    * Browser detection and version information
    */
@@ -149,7 +152,7 @@
         optionalChaining: this.testFeature(() => eval('({})?.a')),
         nullishCoalescing: this.testFeature(() => eval('null ?? 1')),
         bigInt: typeof BigInt !== 'undefined',
-        dynamicImport: this.testFeature(() => typeof import === 'function')
+        dynamicImport: this.testFeature(() => new Function('return import("")'))
       };
     },
 
@@ -314,12 +317,12 @@
      * Log feature support summary
      */
     logFeatureSupport() {
-      console.group('[Compatibility] Feature Detection Results');
-      console.log('ES6 Features:', this.features.es6);
-      console.log('ES2015+ Features:', this.features.es2015Plus);
-      console.log('Browser APIs:', this.features.apis);
-      console.log('CSS Features:', this.features.css);
-      console.groupEnd();
+      logger.group('Feature Detection Results');
+      logger.info('ES6 Features:', this.features.es6);
+      logger.info('ES2015+ Features:', this.features.es2015Plus);
+      logger.info('Browser APIs:', this.features.apis);
+      logger.info('CSS Features:', this.features.css);
+      logger.groupEnd();
 
       // Check for critical missing features
       this.checkCriticalFeatures();
@@ -342,7 +345,7 @@
       }
 
       if (critical.length > 0) {
-        console.warn('[Compatibility] Missing critical features:', critical);
+        logger.warn('Missing critical features:', critical);
         this.showCompatibilityWarning(critical);
       }
     },
@@ -413,7 +416,7 @@
       this.polyfillRemove();
       this.polyfillIntersectionObserver();
 
-      console.log('[Compatibility] Polyfills initialized');
+      logger.info('Polyfills initialized');
     },
 
     /**
@@ -421,7 +424,7 @@
      */
     polyfillPromises() {
       if (typeof Promise === 'undefined') {
-        console.warn('[Compatibility] Promise polyfill needed but not implemented - consider using a polyfill library');
+        logger.warn('Promise polyfill needed but not implemented - consider using a polyfill library');
       }
     },
 
@@ -430,7 +433,7 @@
      */
     polyfillFetch() {
       if (typeof fetch === 'undefined') {
-        console.warn('[Compatibility] Fetch API polyfill needed but not implemented - consider using a polyfill library');
+        logger.warn('Fetch API polyfill needed but not implemented - consider using a polyfill library');
       }
     },
 
@@ -625,7 +628,7 @@
         return;
       }
 
-      console.warn('[Compatibility] IntersectionObserver not supported - using fallback');
+      logger.warn('IntersectionObserver not supported - using fallback');
 
       window.IntersectionObserver = function(callback) {
         this.observe = function(element) {
@@ -672,7 +675,7 @@
         html.classList.add('browser-legacy');
       }
 
-      console.log('[Compatibility] Browser classes added:', browserInfo.browser);
+      logger.info('Browser classes added:', browserInfo.browser);
     },
 
     /**
@@ -684,19 +687,19 @@
       // Handle missing CSS Grid
       if (!features.css.grid) {
         document.documentElement.classList.add('no-grid');
-        console.warn('[Compatibility] CSS Grid not supported - using flexbox fallback');
+        logger.warn('CSS Grid not supported - using flexbox fallback');
       }
 
       // Handle missing Flexbox
       if (!features.css.flexbox) {
         document.documentElement.classList.add('no-flexbox');
-        console.warn('[Compatibility] Flexbox not supported - using float fallback');
+        logger.warn('Flexbox not supported - using float fallback');
       }
 
       // Handle missing custom properties
       if (!features.css.customProperties) {
         document.documentElement.classList.add('no-custom-properties');
-        console.warn('[Compatibility] CSS Custom Properties not supported');
+        logger.warn('CSS Custom Properties not supported');
       }
     },
 
@@ -778,12 +781,12 @@
    * Initialize all compatibility features
    */
   function initCompatibility() {
-    console.group('[Compatibility] Initializing browser compatibility...');
+    logger.group('Initializing browser compatibility...');
 
     try {
       // Detect browser
       const browserInfo = BrowserDetection.detect();
-      console.log('[Compatibility] Browser detected:', browserInfo);
+      logger.info('Browser detected:', browserInfo);
 
       // Detect features
       FeatureDetection.init();
@@ -794,12 +797,12 @@
       // Setup graceful degradation
       GracefulDegradation.init();
 
-      console.log('[Compatibility] All compatibility features initialized ✓');
+      logger.info('All compatibility features initialized ✓');
     } catch (error) {
-      console.error('[Compatibility] Error during initialization:', error);
+      logger.error('Error during initialization:', error);
     }
 
-    console.groupEnd();
+    logger.groupEnd();
   }
 
   // Initialize when DOM is ready
@@ -809,6 +812,12 @@
     initCompatibility();
   }
 
+  // Expose detection results to the other page scripts
+  window.Compatibility = {
+    BrowserDetection,
+    FeatureDetection
+  };
+
   // Export for testing purposes
   if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
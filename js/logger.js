@@ -0,0 +1,254 @@
+/**
+ * Structured Logging Module
+ *
+ * Shared logger for the page scripts with:
+ * - Levels (debug, info, warn, error) and a silent production default
+ * - Namespaces printed as a [Namespace] prefix
+ * - Runtime level from ?debug=<level> or localStorage "debug"
+ * - In-memory ring buffer of recent entries, recorded at every level,
+ *   that can be exported for bug reports with Logger.export()
+ *
+ * Must load before the other page scripts.
+ *
+ * @module logger
+ */
+
+(function structuredLogger() {
+  'use strict';
+
+  // Severity order; entries below the active level are buffered but not printed
+  const LEVELS = Object.freeze({
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100,
+  });
+
+  // Configuration constants
+  const CONFIG = Object.freeze({
+    DEFAULT_LEVEL: 'silent',
+    QUERY_PARAM: 'debug',
+    STORAGE_KEY: 'debug',
+    BUFFER_SIZE: 200,
+    MAX_DEPTH: 3,
+    MAX_ITEMS: 50,
+  });
+
+  // State management
+  const state = {
+    level: CONFIG.DEFAULT_LEVEL,
+    buffer: [],
+    // Whether each open group was actually printed, so groupEnd stays balanced
+    groups: [],
+  };
+
+  /**
+   * Turn a ?debug= or localStorage value into a level name
+   * @param {string|null} value - Raw value
+   * @returns {string|null} Level name, or null if not recognised
+   */
+  function parseLevel(value) {
+    if (value === null || value === undefined) return null;
+
+    const normalized = String(value).trim().toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(LEVELS, normalized)) return normalized;
+    if (['', '1', 'true', 'on'].includes(normalized)) return 'debug';
+    if (['0', 'false', 'off'].includes(normalized)) return 'silent';
+    return null;
+  }
+
+  /**
+   * Read the level from the query string, then localStorage
+   * @returns {string} Active level name
+   */
+  function resolveLevel() {
+    try {
+      const fromQuery = parseLevel(new URLSearchParams(window.location.search).get(CONFIG.QUERY_PARAM));
+      if (fromQuery) return fromQuery;
+    } catch (error) {
+      // Ignore malformed URLs and fall through to storage
+    }
+
+    try {
+      const fromStorage = parseLevel(localStorage.getItem(CONFIG.STORAGE_KEY));
+      if (fromStorage) return fromStorage;
+    } catch (error) {
+      // Storage can be blocked by privacy settings
+    }
+
+    return CONFIG.DEFAULT_LEVEL;
+  }
+
+  /**
+   * Convert a logged value into plain data that can be exported as JSON
+   * @param {*} value - Value to convert
+   * @param {number} depth - Current nesting depth
+   * @returns {*} Serializable value
+   */
+  function serialize(value, depth = 0) {
+    if (value instanceof Error) {
+      return { name: value.name, message: value.message, stack: value.stack };
+    }
+    if (typeof value === 'function') {
+      return `[Function ${value.name || 'anonymous'}]`;
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    if (typeof Element !== 'undefined' && value instanceof Element) {
+      return `<${value.tagName.toLowerCase()}${value.id ? `#${value.id}` : ''}>`;
+    }
+    // Performance entries and similar platform objects keep their data behind toJSON
+    if (typeof value.toJSON === 'function') {
+      return serialize(value.toJSON(), depth);
+    }
+    if (depth >= CONFIG.MAX_DEPTH) {
+      return Array.isArray(value) ? `[Array(${value.length})]` : '[Object]';
+    }
+    if (Array.isArray(value)) {
+      return value.slice(0, CONFIG.MAX_ITEMS).map((item) => serialize(item, depth + 1));
+    }
+
+    const result = {};
+    Object.keys(value).slice(0, CONFIG.MAX_ITEMS).forEach((key) => {
+      result[key] = serialize(value[key], depth + 1);
+    });
+    return result;
+  }
+
+  /**
+   * Add an entry to the ring buffer
+   * @param {string} level - Level name
+   * @param {string} namespace - Logger namespace
+   * @param {Array} args - Logged arguments
+   */
+  function record(level, namespace, args) {
+    const [message, ...data] = args;
+
+    state.buffer.push({
+      timestamp: new Date().toISOString(),
+      level,
+      namespace,
+      message: typeof message === 'string' ? message : serialize(message),
+      data: data.map((item) => serialize(item)),
+    });
+
+    if (state.buffer.length > CONFIG.BUFFER_SIZE) {
+      state.buffer.splice(0, state.buffer.length - CONFIG.BUFFER_SIZE);
+    }
+  }
+
+  /**
+   * Check whether a level is printed at the active level
+   * @param {string} level - Level name
+   * @returns {boolean} True if enabled
+   */
+  function isEnabled(level) {
+    return LEVELS[level] >= LEVELS[state.level];
+  }
+
+  /**
+   * Create a namespaced logger
+   * @param {string} namespace - Name shown as the [Namespace] prefix
+   * @returns {Object} Logger with debug, info, warn, error, group, groupEnd and table
+   */
+  function create(namespace) {
+    const prefix = `[${namespace}]`;
+
+    const write = (level, method, args) => {
+      record(level, namespace, args);
+      if (isEnabled(level)) {
+        console[method](prefix, ...args);
+      }
+    };
+
+    return {
+      debug: (...args) => write('debug', 'debug', args),
+      info: (...args) => write('info', 'log', args),
+      warn: (...args) => write('warn', 'warn', args),
+      error: (...args) => write('error', 'error', args),
+
+      /**
+       * Open a console group at info level
+       * @param {string} label - Group label
+       */
+      group(label) {
+        record('info', namespace, [label]);
+        const printed = isEnabled('info');
+        state.groups.push(printed);
+        if (printed) {
+          console.group(`${prefix} ${label}`);
+        }
+      },
+
+      /**
+       * Close the group opened last
+       */
+      groupEnd() {
+        if (state.groups.pop()) {
+          console.groupEnd();
+        }
+      },
+
+      /**
+       * Print tabular data at info level
+       * @param {Object|Array} data - Table data
+       */
+      table(data) {
+        record('info', namespace, ['table', data]);
+        if (isEnabled('info')) {
+          console.table(data);
+        }
+      },
+    };
+  }
+
+  /**
+   * Change the active level
+   * @param {string} level - Level name
+   * @param {boolean} [persist] - Also store it in localStorage for later visits
+   */
+  function setLevel(level, persist) {
+    const parsed = parseLevel(level);
+    if (!parsed) return;
+
+    state.level = parsed;
+
+    if (persist) {
+      try {
+        localStorage.setItem(CONFIG.STORAGE_KEY, parsed);
+      } catch (error) {
+        // Storage can be blocked by privacy settings
+      }
+    }
+  }
+
+  /**
+   * Export buffered entries with page context, e.g. copy(Logger.export()) in DevTools
+   * @returns {string} JSON report
+   */
+  function exportEntries() {
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      url: window.location.href,
+      userAgent: navigator.userAgent,
+      level: state.level,
+      entries: state.buffer,
+    }, null, 2);
+  }
+
+  state.level = resolveLevel();
+
+  window.Logger = {
+    LEVELS,
+    create,
+    setLevel,
+    getLevel: () => state.level,
+    getEntries: () => state.buffer.slice(),
+    clear: () => {
+      state.buffer = [];
+    },
+    export: exportEntries,
+  };
+})();
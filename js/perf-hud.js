@@ -0,0 +1,536 @@
+/**
+ * Performance Debug HUD
+ *
+ * On-page overlay for reading PerformanceMonitor data without DevTools:
+ * - Live FCP, LCP, CLS and INP values colored by budget status
+ * - Highlight of the LCP element and outlines of the largest layout shifts
+ * - Media quality switch (auto, full, lite) for testing the media policy
+ * - Keyboard accessible (Alt+Shift+P toggles, Escape closes)
+ *
+ * Loaded on demand by performance.js when the page is opened with ?perf=1
+ * or the shortcut is pressed, so it is never part of a normal page load.
+ *
+ * @module perf-hud
+ */
+
+(function performanceHud() {
+  'use strict';
+
+  // Configuration constants
+  const CONFIG = Object.freeze({
+    METRICS: Object.freeze([
+      { key: 'firstContentfulPaint', label: 'FCP' },
+      { key: 'largestContentfulPaint', label: 'LCP' },
+      { key: 'cumulativeLayoutShift', label: 'CLS' },
+      { key: 'interactionToNextPaint', label: 'INP' },
+    ]),
+    UPDATE_EVENT: 'perf:metric-update',
+    MEDIA_LABELS: Object.freeze({ auto: 'Auto', full: 'Full', lite: 'Lite' }),
+  });
+
+  // State management
+  const state = {
+    monitor: null,
+    budgets: null,
+    mediaPolicy: null,
+    isOpen: false,
+    showLcp: true,
+    showShifts: true,
+    returnFocus: null,
+  };
+
+  // DOM element references
+  const elements = {
+    panel: null,
+    profile: null,
+    metrics: {},
+    lcpToggle: null,
+    shiftToggle: null,
+    mediaSelect: null,
+    mediaReason: null,
+    overlays: null,
+  };
+
+  /**
+   * Connect the HUD to the page's monitor and budgets
+   * @param {Object} monitor - PerformanceMonitor from performance.js
+   * @param {Object} budgets - PerformanceBudgets from performance.js
+   * @param {Object} [mediaPolicy] - MediaPolicy from performance.js
+   */
+  function attach(monitor, budgets, mediaPolicy) {
+    state.monitor = monitor;
+    state.budgets = budgets;
+    state.mediaPolicy = mediaPolicy || null;
+  }
+
+  /**
+   * Show the panel and start following metric updates
+   * @param {Object} [options] - Open options
+   * @param {boolean} [options.focus] - Move focus into the panel
+   */
+  function open(options = {}) {
+    if (!state.monitor || state.isOpen) return;
+
+    if (!elements.panel) {
+      injectHudStyles();
+      createPanel();
+    }
+
+    state.isOpen = true;
+    elements.panel.hidden = false;
+    elements.overlays.hidden = false;
+
+    document.addEventListener(CONFIG.UPDATE_EVENT, render);
+    window.addEventListener('resize', renderOverlays);
+
+    render();
+
+    if (options.focus) {
+      state.returnFocus = document.activeElement;
+      elements.panel.focus();
+    }
+  }
+
+  /**
+   * Hide the panel and return focus to where it was
+   */
+  function close() {
+    if (!state.isOpen) return;
+
+    state.isOpen = false;
+    elements.panel.hidden = true;
+    elements.overlays.hidden = true;
+
+    document.removeEventListener(CONFIG.UPDATE_EVENT, render);
+    window.removeEventListener('resize', renderOverlays);
+
+    if (elements.panel.contains(document.activeElement) && state.returnFocus) {
+      state.returnFocus.focus();
+    }
+    state.returnFocus = null;
+  }
+
+  /**
+   * Open or close the panel
+   * @param {Object} [options] - Options passed to open()
+   */
+  function toggle(options) {
+    if (state.isOpen) {
+      close();
+    } else {
+      open(options);
+    }
+  }
+
+  /**
+   * Build the panel and the overlay layer
+   */
+  function createPanel() {
+    elements.panel = document.createElement('section');
+    elements.panel.className = 'perf-hud';
+    elements.panel.setAttribute('aria-labelledby', 'perf-hud-title');
+    elements.panel.tabIndex = -1;
+    elements.panel.hidden = true;
+    elements.panel.innerHTML = `
+      <div class="perf-hud__header">
+        <h2 id="perf-hud-title" class="perf-hud__title">Performance</h2>
+        <span class="perf-hud__profile"></span>
+        <button type="button" class="perf-hud__close" aria-label="Close performance panel">
+          <span aria-hidden="true">×</span>
+        </button>
+      </div>
+      <dl class="perf-hud__metrics"></dl>
+      <div class="perf-hud__actions" role="group" aria-label="Overlays">
+        <button type="button" class="perf-hud__toggle" data-overlay="lcp" aria-pressed="true">LCP element</button>
+        <button type="button" class="perf-hud__toggle" data-overlay="shifts" aria-pressed="true">Layout shifts</button>
+      </div>
+      <div class="perf-hud__media" hidden>
+        <label for="perf-hud-media">Media</label>
+        <select id="perf-hud-media" class="perf-hud__select"></select>
+        <span class="perf-hud__media-reason"></span>
+      </div>
+      <p class="perf-hud__hint">Alt+Shift+P or Escape to close</p>
+    `;
+
+    elements.profile = elements.panel.querySelector('.perf-hud__profile');
+
+    const list = elements.panel.querySelector('.perf-hud__metrics');
+    CONFIG.METRICS.forEach((metric) => {
+      const row = document.createElement('div');
+      row.className = 'perf-hud__metric';
+      row.dataset.status = 'pending';
+      row.innerHTML = `
+        <dt>${metric.label}</dt>
+        <dd><span class="perf-hud__value">–</span> <span class="perf-hud__status"></span></dd>
+      `;
+      list.appendChild(row);
+      elements.metrics[metric.key] = row;
+    });
+
+    elements.lcpToggle = elements.panel.querySelector('[data-overlay="lcp"]');
+    elements.shiftToggle = elements.panel.querySelector('[data-overlay="shifts"]');
+
+    if (state.mediaPolicy) {
+      createMediaControl();
+    }
+
+    elements.overlays = document.createElement('div');
+    elements.overlays.className = 'perf-hud-overlays';
+    elements.overlays.setAttribute('aria-hidden', 'true');
+    elements.overlays.hidden = true;
+
+    elements.panel.querySelector('.perf-hud__close').addEventListener('click', close);
+    elements.lcpToggle.addEventListener('click', () => {
+      state.showLcp = !state.showLcp;
+      elements.lcpToggle.setAttribute('aria-pressed', String(state.showLcp));
+      renderOverlays();
+    });
+    elements.shiftToggle.addEventListener('click', () => {
+      state.showShifts = !state.showShifts;
+      elements.shiftToggle.setAttribute('aria-pressed', String(state.showShifts));
+      renderOverlays();
+    });
+    elements.panel.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        close();
+      }
+    });
+
+    document.body.appendChild(elements.overlays);
+    document.body.appendChild(elements.panel);
+  }
+
+  /**
+   * Fill in the media quality switch; the choice is kept for later visits
+   */
+  function createMediaControl() {
+    const policy = state.mediaPolicy;
+
+    elements.mediaSelect = elements.panel.querySelector('.perf-hud__select');
+    elements.mediaReason = elements.panel.querySelector('.perf-hud__media-reason');
+
+    policy.modes.forEach((mode) => {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = CONFIG.MEDIA_LABELS[mode] || mode;
+      elements.mediaSelect.appendChild(option);
+    });
+
+    elements.mediaSelect.addEventListener('change', () => {
+      policy.setOverride(elements.mediaSelect.value, true);
+      renderMedia();
+    });
+    document.addEventListener(policy.changeEvent, renderMedia);
+
+    elements.panel.querySelector('.perf-hud__media').hidden = false;
+  }
+
+  /**
+   * Show the media override and the mode it results in
+   */
+  function renderMedia() {
+    const policy = state.mediaPolicy;
+    if (!policy || !elements.mediaSelect) return;
+
+    elements.mediaSelect.value = policy.override;
+    elements.mediaReason.textContent = `${policy.mode} (${policy.reason})`;
+  }
+
+  /**
+   * Update metric values, budget status and overlays
+   */
+  function render() {
+    const profile = state.budgets.getProfile();
+    const budgets = state.budgets.resolve(profile);
+
+    elements.profile.textContent = profile.name;
+
+    CONFIG.METRICS.forEach((metric) => {
+      const row = elements.metrics[metric.key];
+      const value = state.monitor.metrics[metric.key];
+      const budget = budgets[metric.key];
+      const status = getStatus(metric.key, value, budget);
+
+      row.dataset.status = status;
+      row.querySelector('.perf-hud__value').textContent = status === 'pending'
+        ? '–'
+        : formatValue(metric.key, value);
+      row.querySelector('.perf-hud__status').textContent = status === 'poor'
+        ? `over ${formatValue(metric.key, budget)} budget`
+        : { pending: 'waiting', good: 'within budget' }[status];
+    });
+
+    renderMedia();
+    renderOverlays();
+  }
+
+  /**
+   * Classify a metric against its budget
+   * @param {string} key - Metric name
+   * @param {number} value - Current value
+   * @param {number} budget - Budget for the active profile
+   * @returns {string} pending, good or poor
+   */
+  function getStatus(key, value, budget) {
+    // A CLS of 0 is a real result once the page has painted
+    const measured = key === 'cumulativeLayoutShift'
+      ? state.monitor.metrics.firstContentfulPaint > 0
+      : value > 0;
+
+    if (!measured) return 'pending';
+    if (budget === undefined || value <= budget) return 'good';
+    return 'poor';
+  }
+
+  /**
+   * Format a metric value for display
+   * @param {string} key - Metric name
+   * @param {number} value - Value to format
+   * @returns {string} Display text
+   */
+  function formatValue(key, value) {
+    if (key === 'cumulativeLayoutShift') {
+      return value.toFixed(3);
+    }
+    return `${Math.round(value)} ms`;
+  }
+
+  /**
+   * Draw the LCP highlight and layout shift outlines
+   */
+  function renderOverlays() {
+    elements.overlays.textContent = '';
+
+    const lcpElement = state.monitor.lcpElement;
+    if (state.showLcp && lcpElement && lcpElement.isConnected) {
+      const rect = lcpElement.getBoundingClientRect();
+      addOverlayBox('lcp', 'LCP', {
+        x: rect.left + window.scrollX,
+        y: rect.top + window.scrollY,
+        width: rect.width,
+        height: rect.height,
+      });
+    }
+
+    const shifts = state.monitor.attribution.cumulativeLayoutShift;
+    if (state.showShifts && shifts) {
+      shifts.sources.forEach((source) => {
+        addOverlayBox('shift', `Shift ${source.value.toFixed(3)}`, {
+          x: source.currentRect.x + source.scrollX,
+          y: source.currentRect.y + source.scrollY,
+          width: source.currentRect.width,
+          height: source.currentRect.height,
+        });
+      });
+    }
+  }
+
+  /**
+   * Add one outlined box to the overlay layer
+   * @param {string} type - lcp or shift
+   * @param {string} label - Text shown on the box
+   * @param {Object} rect - Page coordinates of the box
+   */
+  function addOverlayBox(type, label, rect) {
+    const box = document.createElement('div');
+    box.className = `perf-hud-overlay perf-hud-overlay--${type}`;
+    box.style.left = `${rect.x}px`;
+    box.style.top = `${rect.y}px`;
+    box.style.width = `${rect.width}px`;
+    box.style.height = `${rect.height}px`;
+    box.dataset.label = label;
+    elements.overlays.appendChild(box);
+  }
+
+  /**
+   * Inject HUD-specific CSS
+   */
+  function injectHudStyles() {
+    const styleId = 'perf-hud-styles';
+    if (document.getElementById(styleId)) return;
+
+    const style = document.createElement('style');
+    style.id = styleId;
+    style.textContent = `
+      .perf-hud {
+        position: fixed;
+        right: 1rem;
+        bottom: 1rem;
+        z-index: 10001;
+        width: min(18rem, calc(100vw - 2rem));
+        padding: 0.75rem 1rem;
+        background-color: hsl(0, 0%, 10%);
+        color: hsl(0, 0%, 100%);
+        border-radius: 0.5rem;
+        box-shadow: 0 10px 15px -3px rgba(0, 0, 0, 0.3);
+        font: 0.875rem/1.4 ui-monospace, SFMono-Regular, Menlo, monospace;
+      }
+
+      .perf-hud[hidden],
+      .perf-hud-overlays[hidden] {
+        display: none;
+      }
+
+      .perf-hud:focus-visible,
+      .perf-hud button:focus-visible,
+      .perf-hud select:focus-visible {
+        outline: 2px solid hsl(217, 91%, 60%);
+        outline-offset: 2px;
+      }
+
+      .perf-hud__header {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        margin-block-end: 0.5rem;
+      }
+
+      .perf-hud__title {
+        font-size: 0.875rem;
+        font-weight: 700;
+      }
+
+      .perf-hud__profile {
+        flex: 1;
+        opacity: 0.7;
+      }
+
+      .perf-hud__close {
+        background: none;
+        border: none;
+        color: inherit;
+        font-size: 1.25rem;
+        line-height: 1;
+        cursor: pointer;
+      }
+
+      .perf-hud__metric {
+        display: flex;
+        justify-content: space-between;
+        gap: 0.5rem;
+        padding: 0.25rem 0.5rem;
+        border-inline-start: 4px solid hsl(0, 0%, 50%);
+        margin-block-end: 0.25rem;
+      }
+
+      .perf-hud__metric[data-status="good"] {
+        border-color: hsl(145, 63%, 42%);
+      }
+
+      .perf-hud__metric[data-status="poor"] {
+        border-color: hsl(0, 79%, 63%);
+      }
+
+      .perf-hud__metric dt {
+        font-weight: 700;
+      }
+
+      .perf-hud__status {
+        opacity: 0.7;
+      }
+
+      .perf-hud__actions {
+        display: flex;
+        gap: 0.5rem;
+        margin-block: 0.5rem;
+      }
+
+      .perf-hud__toggle {
+        flex: 1;
+        padding: 0.25rem;
+        background: none;
+        border: 1px solid currentColor;
+        border-radius: 0.25rem;
+        color: inherit;
+        font: inherit;
+        cursor: pointer;
+      }
+
+      .perf-hud__toggle[aria-pressed="true"] {
+        background-color: hsl(217, 91%, 40%);
+      }
+
+      .perf-hud__media {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        margin-block-end: 0.5rem;
+      }
+
+      .perf-hud__media[hidden] {
+        display: none;
+      }
+
+      .perf-hud__select {
+        padding: 0.125rem 0.25rem;
+        background-color: hsl(0, 0%, 20%);
+        border: 1px solid currentColor;
+        border-radius: 0.25rem;
+        color: inherit;
+        font: inherit;
+      }
+
+      .perf-hud__media-reason {
+        opacity: 0.7;
+      }
+
+      .perf-hud__hint {
+        opacity: 0.6;
+        font-size: 0.75rem;
+      }
+
+      .perf-hud-overlays {
+        position: absolute;
+        top: 0;
+        left: 0;
+        z-index: 10000;
+        pointer-events: none;
+      }
+
+      .perf-hud-overlay {
+        position: absolute;
+        border: 3px solid;
+      }
+
+      .perf-hud-overlay::before {
+        content: attr(data-label);
+        position: absolute;
+        top: -1.5rem;
+        left: -3px;
+        padding: 0 0.25rem;
+        color: hsl(0, 0%, 100%);
+        font: 0.75rem/1.5rem ui-monospace, SFMono-Regular, Menlo, monospace;
+      }
+
+      .perf-hud-overlay--lcp {
+        border-color: hsl(145, 63%, 42%);
+        background-color: hsla(145, 63%, 42%, 0.15);
+      }
+
+      .perf-hud-overlay--lcp::before {
+        background-color: hsl(145, 63%, 42%);
+      }
+
+      .perf-hud-overlay--shift {
+        border-color: hsl(0, 79%, 63%);
+        border-style: dashed;
+        background-color: hsla(0, 79%, 63%, 0.15);
+      }
+
+      .perf-hud-overlay--shift::before {
+        background-color: hsl(0, 79%, 63%);
+      }
+    `;
+
+    document.head.appendChild(style);
+  }
+
+  // Public API used by the loader in performance.js
+  window.PerfHud = {
+    attach,
+    open,
+    close,
+    toggle,
+  };
+})();
@@ -10,6 +10,180 @@
 (function() {
   'use strict';
 
+  // Captured while the script runs; null once init is deferred to a callback
+  const currentScript = document.currentScript;
+
+  // Namespaced loggers (see logger.js), silent unless ?debug= is set
+  const loggers = {
+    performance: window.Logger.create('Performance'),
+    budgets: window.Logger.create('PerformanceBudgets'),
+    resourceMonitor: window.Logger.create('ResourceMonitor'),
+    reporter: window.Logger.create('MetricsReporter'),
+    debugHud: window.Logger.create('DebugHud'),
+    lazyLoader: window.Logger.create('LazyLoader'),
+    mediaPolicy: window.Logger.create('MediaPolicy'),
+    progressiveEnhancement: window.Logger.create('ProgressiveEnhancement'),
+    resourceHints: window.Logger.create('ResourceHints'),
+    serviceWorker: window.Logger.create('ServiceWorker')
+  };
+
+  /**
+   * Performance budgets
+   * Declared in a JSON config block and chosen per device and connection
+   */
+  const PerformanceBudgets = {
+    configSelector: '#performance-budgets',
+    violationEvent: 'perf:budget-violation',
+    mobileBreakpoint: 768,
+    slowConnections: ['slow-2g', '2g', '3g'],
+    ready: null,
+
+    // Used when the page declares no budget config
+    config: {
+      default: {
+        pageLoadTime: 3000,
+        timeToFirstByte: 800,
+        timeToInteractive: 3800,
+        firstContentfulPaint: 1800,
+        largestContentfulPaint: 2500,
+        cumulativeLayoutShift: 0.1,
+        interactionToNextPaint: 200,
+        totalBlockingTime: 200,
+        aboveFoldImageBytes: 307200,
+        scriptBytes: 102400
+      },
+      profiles: {}
+    },
+
+    /**
+     * Load the budget config once
+     * @returns {Promise<void>} Resolves when budgets are available
+     */
+    load() {
+      if (!this.ready) {
+        this.ready = this.readConfig().then((config) => {
+          if (config && config.default) {
+            this.config = config;
+          }
+        });
+      }
+
+      return this.ready;
+    },
+
+    /**
+     * Read budgets from the inline JSON block, or the file its data-src points to
+     * @returns {Promise<Object|null>} Parsed config
+     */
+    readConfig() {
+      const block = document.querySelector(this.configSelector);
+
+      if (!block) {
+        return Promise.resolve(null);
+      }
+
+      const parseInline = () => {
+        const text = block.textContent.trim();
+        if (!text) {
+          return null;
+        }
+
+        try {
+          return JSON.parse(text);
+        } catch (error) {
+          loggers.budgets.warn('Invalid budget config:', error);
+          return null;
+        }
+      };
+
+      const url = block.getAttribute('data-src');
+      if (!url || typeof fetch === 'undefined') {
+        return Promise.resolve(parseInline());
+      }
+
+      return fetch(url)
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(`Budget config responded with ${response.status}`);
+          }
+          return response.json();
+        })
+        .catch((error) => {
+          loggers.budgets.warn('Unable to load budget config, using inline budgets:', error);
+          return parseInline();
+        });
+    },
+
+    /**
+     * Choose the budget profile from the viewport and network connection
+     * @returns {Object} Profile name, device class and connection class
+     */
+    getProfile() {
+      const connection = navigator.connection;
+      const isMobile = window.matchMedia(`(max-width: ${this.mobileBreakpoint - 1}px)`).matches;
+      const isSlow = !!connection &&
+        (connection.saveData || this.slowConnections.includes(connection.effectiveType));
+
+      const device = isMobile ? 'mobile' : 'desktop';
+      const speed = isSlow ? 'slow' : 'fast';
+
+      return {
+        name: `${device}-${speed}`,
+        device,
+        connection: speed
+      };
+    },
+
+    /**
+     * Merge the default budgets with the device, connection and combined profiles
+     * @param {Object} profile - Profile from getProfile()
+     * @returns {Object} Budgets keyed by metric
+     */
+    resolve(profile) {
+      const profiles = this.config.profiles || {};
+
+      return Object.assign(
+        {},
+        this.config.default,
+        profiles[profile.device],
+        profiles[profile.connection],
+        profiles[profile.name]
+      );
+    },
+
+    /**
+     * Compare values against the active budgets and announce each violation
+     * @param {Object} values - Measured values keyed by metric
+     * @returns {Array<Object>} Violations
+     */
+    check(values) {
+      const profile = this.getProfile();
+      const budgets = this.resolve(profile);
+      const violations = [];
+
+      Object.keys(budgets).forEach((metric) => {
+        // Budgets for metrics another monitor measures
+        if (!(metric in values)) {
+          return;
+        }
+
+        if (values[metric] > budgets[metric]) {
+          const violation = {
+            metric,
+            actual: values[metric],
+            budget: budgets[metric],
+            profile: profile.name
+          };
+
+          violations.push(violation);
+          document.dispatchEvent(new CustomEvent(this.violationEvent, { detail: violation }));
+        }
+      });
+
+      return violations;
+    }
+  };
+
   /**
    * Performance monitoring and metrics collection
    */
@@ -19,393 +193,3546 @@
       firstContentfulPaint: 0,
       largestContentfulPaint: 0,
       cumulativeLayoutShift: 0,
-      firstInputDelay: 0,
-      timeToInteractive: 0
+      interactionToNextPaint: 0,
+      timeToInteractive: 0,
+      timeToFirstByte: 0,
+      dnsTime: 0,
+      connectionTime: 0,
+      tlsTime: 0,
+      requestTime: 0,
+      responseTime: 0,
+      domProcessingTime: 0,
+      loadEventTime: 0,
+      longTaskCount: 0,
+      totalBlockingTime: 0,
+      longAnimationFrameCount: 0
     },
 
+    // A window this long without long tasks means the page is interactive
+    quietWindow: 5000,
+    // Give up waiting for a quiet window after this long
+    maxInteractiveWait: 20000,
+    longTasks: [],
+    // Time spent in each script during long animation frames, keyed by script
+    blockingScripts: new Map(),
+
+    // Element behind the current LCP candidate
+    lcpElement: null,
+
+    // Layout shifts in the current session window and in the largest window so far
+    layoutShiftSession: { value: 0, entries: [] },
+    largestLayoutShiftWindow: [],
+    // Scroll position when each shift was recorded, to place its rects on the page
+    layoutShiftScroll: new WeakMap(),
+
+    // Details about what caused each metric's value
+    attribution: {},
+
+    // Slowest interactions seen so far, sorted by latency (longest first)
+    longestInteractions: [],
+    interactionsById: new Map(),
+    minInteractionId: Infinity,
+    maxInteractionId: 0,
+
     /**
      * Initialize performance monitoring
      */
     init() {
       this.measurePageLoad();
       this.measureCoreWebVitals();
+      this.observeLongTasks();
       this.logMetrics();
     },
 
     /**
-     * Measure page load time
+     * Measure page load time and its phases using Navigation Timing Level 2
+     */
+    measurePageLoad() {
+      if (!window.performance) {
+        loggers.performance.warn('Performance API not supported');
+        return;
+      }
+
+      window.addEventListener('load', () => {
+        // loadEventEnd is only set once the load handlers have returned
+        setTimeout(() => {
+          const navigation = this.getNavigationEntry();
+
+          if (navigation) {
+            this.recordNavigationTiming(navigation);
+          } else if (performance.timing) {
+            const timing = performance.timing;
+            this.metrics.pageLoadTime = timing.loadEventEnd - timing.navigationStart;
+          }
+
+          loggers.performance.info('Page load time:', this.metrics.pageLoadTime + 'ms');
+        }, 0);
+      });
+    },
+
+    /**
+     * Get the navigation timing entry for this page
+     * @returns {PerformanceNavigationTiming|null} Navigation entry
+     */
+    getNavigationEntry() {
+      if (typeof performance.getEntriesByType !== 'function') {
+        return null;
+      }
+
+      return performance.getEntriesByType('navigation')[0] || null;
+    },
+
+    /**
+     * Break the navigation down into network, server and front-end phases
+     * @param {PerformanceNavigationTiming} navigation - Navigation entry
+     */
+    recordNavigationTiming(navigation) {
+      const phase = (start, end) => Math.max(0, Math.round(end - start));
+
+      this.metrics.pageLoadTime = phase(navigation.startTime, navigation.loadEventEnd);
+      this.metrics.timeToFirstByte = phase(navigation.startTime, navigation.responseStart);
+      this.metrics.dnsTime = phase(navigation.domainLookupStart, navigation.domainLookupEnd);
+      this.metrics.connectionTime = phase(navigation.connectStart, navigation.connectEnd);
+      this.metrics.tlsTime = navigation.secureConnectionStart > 0
+        ? phase(navigation.secureConnectionStart, navigation.connectEnd)
+        : 0;
+      this.metrics.requestTime = phase(navigation.requestStart, navigation.responseStart);
+      this.metrics.responseTime = phase(navigation.responseStart, navigation.responseEnd);
+      this.metrics.domProcessingTime = phase(navigation.responseEnd, navigation.domComplete);
+      this.metrics.loadEventTime = phase(navigation.loadEventStart, navigation.loadEventEnd);
+    },
+
+    /**
+     * Watch main-thread blocking through long tasks and, where supported,
+     * long animation frames, which also say which scripts were running
+     */
+    observeLongTasks() {
+      try {
+        if (this.supportsEntryType('longtask')) {
+          const longTaskObserver = new PerformanceObserver((entryList) => {
+            entryList.getEntries().forEach((entry) => {
+              this.longTasks.push(entry);
+            });
+            this.updateBlockingMetrics();
+          });
+          longTaskObserver.observe({ type: 'longtask', buffered: true });
+        }
+
+        if (this.supportsEntryType('long-animation-frame')) {
+          const loafObserver = new PerformanceObserver((entryList) => {
+            entryList.getEntries().forEach((entry) => this.recordLongAnimationFrame(entry));
+            this.attribution.longTasks = this.getBlockingScriptAttribution();
+          });
+          loafObserver.observe({ type: 'long-animation-frame', buffered: true });
+        }
+      } catch (error) {
+        loggers.performance.error('Error observing long tasks:', error);
+      }
+    },
+
+    /**
+     * Update long task count and total blocking time.
+     * Like lab TBT, only tasks between FCP and TTI count, and only the part
+     * of each task over 50ms blocks input. Until TTI is known the window
+     * stays open, so the value is provisional.
+     */
+    updateBlockingMetrics() {
+      const start = this.metrics.firstContentfulPaint;
+      const end = this.metrics.timeToInteractive || Infinity;
+
+      this.metrics.longTaskCount = this.longTasks.length;
+      this.metrics.totalBlockingTime = Math.round(this.longTasks.reduce((total, task) => {
+        if (task.startTime < start || task.startTime + task.duration > end) {
+          return total;
+        }
+        return total + Math.max(0, task.duration - 50);
+      }, 0));
+    },
+
+    /**
+     * Add the scripts that ran during a long animation frame to the totals
+     * @param {PerformanceLongAnimationFrameTiming} entry - Long animation frame entry
+     */
+    recordLongAnimationFrame(entry) {
+      this.metrics.longAnimationFrameCount++;
+
+      (entry.scripts || []).forEach((script) => {
+        const key = [script.sourceURL, script.sourceFunctionName, script.invoker].join('|');
+        const existing = this.blockingScripts.get(key);
+
+        if (existing) {
+          existing.count++;
+          existing.duration += script.duration;
+          existing.forcedLayoutDuration += script.forcedStyleAndLayoutDuration || 0;
+        } else {
+          this.blockingScripts.set(key, {
+            sourceURL: script.sourceURL || '',
+            functionName: script.sourceFunctionName || '',
+            invoker: script.invoker || '',
+            invokerType: script.invokerType || '',
+            thirdParty: this.isThirdParty(script.sourceURL),
+            count: 1,
+            duration: script.duration,
+            forcedLayoutDuration: script.forcedStyleAndLayoutDuration || 0
+          });
+        }
+      });
+    },
+
+    /**
+     * List the scripts that blocked the main thread the longest
+     * @returns {Object} Top blocking scripts
+     */
+    getBlockingScriptAttribution() {
+      const scripts = Array.from(this.blockingScripts.values())
+        .sort((a, b) => b.duration - a.duration)
+        .slice(0, 5)
+        .map((script) => Object.assign({}, script, {
+          duration: Math.round(script.duration),
+          forcedLayoutDuration: Math.round(script.forcedLayoutDuration)
+        }));
+
+      return { scripts };
+    },
+
+    /**
+     * Check whether a URL is served from another origin
+     * @param {string} url - Resource URL
+     * @returns {boolean} True for third-party URLs
+     */
+    isThirdParty(url) {
+      if (!url) {
+        return false;
+      }
+
+      try {
+        return new URL(url, location.href).origin !== location.origin;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    /**
+     * Check whether the browser can observe an entry type
+     * @param {string} type - Performance entry type
+     * @returns {boolean} True if supported
+     */
+    supportsEntryType(type) {
+      return !!(window.PerformanceObserver &&
+                PerformanceObserver.supportedEntryTypes &&
+                PerformanceObserver.supportedEntryTypes.includes(type));
+    },
+
+    /**
+     * Wait for a quiet window without long tasks and record time-to-interactive
+     * @returns {Promise<void>} Resolves once TTI is known or measuring gave up
+     */
+    measureTimeToInteractive() {
+      if (!this.supportsEntryType('longtask')) {
+        return Promise.resolve();
+      }
+
+      return new Promise((resolve) => {
+        const check = () => {
+          const now = performance.now();
+          const candidate = this.findInteractiveCandidate();
+          const remaining = candidate + this.quietWindow - now;
+
+          if (remaining <= 0) {
+            const navigation = this.getNavigationEntry();
+            const domContentLoaded = navigation ? navigation.domContentLoadedEventEnd : 0;
+            this.metrics.timeToInteractive = Math.round(Math.max(candidate, domContentLoaded));
+            this.updateBlockingMetrics();
+            loggers.performance.info('TTI:', this.metrics.timeToInteractive + 'ms');
+            resolve();
+          } else if (now > this.maxInteractiveWait) {
+            loggers.performance.warn('No quiet window found, TTI not recorded');
+            resolve();
+          } else {
+            setTimeout(check, remaining);
+          }
+        };
+
+        check();
+      });
+    },
+
+    /**
+     * Find the end of the last long task before the first quiet window after FCP
+     * @returns {number} Candidate TTI timestamp
+     */
+    findInteractiveCandidate() {
+      let candidate = this.metrics.firstContentfulPaint;
+      const tasks = this.longTasks
+        .filter((task) => task.startTime + task.duration > candidate)
+        .sort((a, b) => a.startTime - b.startTime);
+
+      for (const task of tasks) {
+        if (task.startTime - candidate >= this.quietWindow) {
+          break;
+        }
+        candidate = Math.max(candidate, task.startTime + task.duration);
+      }
+
+      return candidate;
+    },
+
+    /**
+     * Measure Core Web Vitals using PerformanceObserver
+     */
+    measureCoreWebVitals() {
+      if (!window.PerformanceObserver) {
+        loggers.performance.warn('PerformanceObserver not supported');
+        return;
+      }
+
+      try {
+        // Largest Contentful Paint (LCP)
+        const lcpObserver = new PerformanceObserver((entryList) => {
+          const entries = entryList.getEntries();
+          this.recordLargestContentfulPaint(entries[entries.length - 1]);
+        });
+        lcpObserver.observe({ type: 'largest-contentful-paint', buffered: true });
+
+        // LCP candidates stop being reported once the user interacts with the page
+        const stopLcpObserver = () => {
+          const pending = lcpObserver.takeRecords();
+          if (pending.length > 0) {
+            this.recordLargestContentfulPaint(pending[pending.length - 1]);
+          }
+          lcpObserver.disconnect();
+          ['keydown', 'click'].forEach((type) => {
+            window.removeEventListener(type, stopLcpObserver, true);
+          });
+        };
+        ['keydown', 'click'].forEach((type) => {
+          window.addEventListener(type, stopLcpObserver, true);
+        });
+
+        // First Contentful Paint (FCP)
+        const fcpObserver = new PerformanceObserver((entryList) => {
+          const entries = entryList.getEntries();
+          entries.forEach((entry) => {
+            if (entry.name === 'first-contentful-paint') {
+              this.metrics.firstContentfulPaint = entry.startTime;
+              this.updateBlockingMetrics();
+              this.notify('firstContentfulPaint');
+              loggers.performance.info('FCP:', this.metrics.firstContentfulPaint + 'ms');
+            }
+          });
+        });
+        fcpObserver.observe({ type: 'paint', buffered: true });
+
+        // Cumulative Layout Shift (CLS)
+        const clsObserver = new PerformanceObserver((entryList) => {
+          entryList.getEntries().forEach((entry) => this.recordLayoutShift(entry));
+          loggers.performance.info('CLS:', this.metrics.cumulativeLayoutShift.toFixed(4));
+        });
+        clsObserver.observe({ type: 'layout-shift', buffered: true });
+
+        // Interaction to Next Paint (INP)
+        const inpObserver = new PerformanceObserver((entryList) => {
+          entryList.getEntries().forEach((entry) => this.recordInteraction(entry));
+          this.updateInteractionToNextPaint();
+        });
+        inpObserver.observe({ type: 'event', buffered: true, durationThreshold: 40 });
+        // first-input is reported even when the interaction is faster than the threshold
+        inpObserver.observe({ type: 'first-input', buffered: true });
+
+      } catch (error) {
+        loggers.performance.error('Error setting up observers:', error);
+      }
+    },
+
+    /**
+     * Record an LCP candidate and split it into its loading sub-parts
+     * @param {LargestContentfulPaint} entry - LCP entry
+     */
+    recordLargestContentfulPaint(entry) {
+      if (!entry) {
+        return;
+      }
+
+      this.metrics.largestContentfulPaint = entry.renderTime || entry.loadTime;
+      this.lcpElement = entry.element || null;
+      this.attribution.largestContentfulPaint = this.getLargestContentfulPaintAttribution(entry);
+      this.notify('largestContentfulPaint');
+
+      loggers.performance.info('LCP:', this.metrics.largestContentfulPaint + 'ms', this.attribution.largestContentfulPaint);
+    },
+
+    /**
+     * Describe the LCP element and how long each loading phase took.
+     * Text elements have no resource, so their load delay and duration are 0.
+     * @param {LargestContentfulPaint} entry - LCP entry
+     * @returns {Object} LCP attribution
+     */
+    getLargestContentfulPaintAttribution(entry) {
+      const navigation = this.getNavigationEntry();
+      const resource = entry.url && typeof performance.getEntriesByType === 'function'
+        ? performance.getEntriesByType('resource').find((item) => item.name === entry.url)
+        : null;
+
+      const timeToFirstByte = navigation ? navigation.responseStart : 0;
+      const requestStart = Math.max(
+        timeToFirstByte,
+        resource ? (resource.requestStart || resource.startTime) : 0
+      );
+      const responseEnd = Math.max(requestStart, resource ? resource.responseEnd : 0);
+      const renderTime = Math.max(responseEnd, this.metrics.largestContentfulPaint);
+
+      return {
+        element: this.getSelector(entry.element),
+        tagName: entry.element ? entry.element.tagName.toLowerCase() : '',
+        url: entry.url || '',
+        size: entry.size,
+        timeToFirstByte: Math.round(timeToFirstByte),
+        resourceLoadDelay: Math.round(requestStart - timeToFirstByte),
+        resourceLoadDuration: Math.round(responseEnd - requestStart),
+        elementRenderDelay: Math.round(renderTime - responseEnd)
+      };
+    },
+
+    /**
+     * Add a layout shift to its session window and keep the largest window as CLS.
+     * Shifts less than 1s apart and within 5s of the window start share a window.
+     * @param {LayoutShift} entry - Layout shift entry
+     */
+    recordLayoutShift(entry) {
+      if (entry.hadRecentInput) {
+        return;
+      }
+
+      this.layoutShiftScroll.set(entry, { x: window.scrollX, y: window.scrollY });
+
+      const session = this.layoutShiftSession;
+      const first = session.entries[0];
+      const last = session.entries[session.entries.length - 1];
+
+      if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+        session.value += entry.value;
+        session.entries.push(entry);
+      } else {
+        session.value = entry.value;
+        session.entries = [entry];
+      }
+
+      if (session.value > this.metrics.cumulativeLayoutShift) {
+        this.metrics.cumulativeLayoutShift = session.value;
+        this.largestLayoutShiftWindow = session.entries.slice();
+        this.attribution.cumulativeLayoutShift = this.getLayoutShiftAttribution();
+        this.notify('cumulativeLayoutShift');
+      }
+    },
+
+    /**
+     * Describe the elements that moved most in the largest session window
+     * @returns {Object} Window timing and the largest shift sources
+     */
+    getLayoutShiftAttribution() {
+      const entries = this.largestLayoutShiftWindow;
+      const byValue = entries.slice().sort((a, b) => b.value - a.value);
+      const rect = (value) => ({
+        x: Math.round(value.x),
+        y: Math.round(value.y),
+        width: Math.round(value.width),
+        height: Math.round(value.height)
+      });
+      const sources = [];
+
+      byValue.forEach((entry) => {
+        const scroll = this.layoutShiftScroll.get(entry) || { x: 0, y: 0 };
+
+        (entry.sources || []).forEach((source) => {
+          if (sources.length < 5) {
+            sources.push({
+              selector: this.getSelector(source.node),
+              value: entry.value,
+              startTime: Math.round(entry.startTime),
+              previousRect: rect(source.previousRect),
+              currentRect: rect(source.currentRect),
+              scrollX: Math.round(scroll.x),
+              scrollY: Math.round(scroll.y)
+            });
+          }
+        });
+      });
+
+      return {
+        windowStart: Math.round(entries[0].startTime),
+        windowEnd: Math.round(entries[entries.length - 1].startTime),
+        shiftCount: entries.length,
+        largestShiftValue: byValue[0].value,
+        sources
+      };
+    },
+
+    /**
+     * Track an event timing entry as part of its interaction
+     * @param {PerformanceEventTiming} entry - Event timing entry
+     */
+    recordInteraction(entry) {
+      if (!entry.interactionId) {
+        return;
+      }
+
+      this.minInteractionId = Math.min(this.minInteractionId, entry.interactionId);
+      this.maxInteractionId = Math.max(this.maxInteractionId, entry.interactionId);
+
+      const existing = this.interactionsById.get(entry.interactionId);
+      const shortest = this.longestInteractions[this.longestInteractions.length - 1];
+
+      if (!existing && this.longestInteractions.length >= 10 && entry.duration <= shortest.latency) {
+        return;
+      }
+
+      if (existing) {
+        existing.entries.push(entry);
+        existing.latency = Math.max(existing.latency, entry.duration);
+      } else {
+        const interaction = {
+          id: entry.interactionId,
+          latency: entry.duration,
+          entries: [entry]
+        };
+        this.interactionsById.set(interaction.id, interaction);
+        this.longestInteractions.push(interaction);
+      }
+
+      this.longestInteractions.sort((a, b) => b.latency - a.latency);
+      this.longestInteractions.splice(10).forEach((interaction) => {
+        this.interactionsById.delete(interaction.id);
+      });
+    },
+
+    /**
+     * Number of interactions on the page so far
+     * @returns {number} Interaction count
+     */
+    getInteractionCount() {
+      if ('interactionCount' in performance) {
+        return performance.interactionCount;
+      }
+
+      // interactionIds increase by 7 between interactions in Chromium
+      if (this.maxInteractionId === 0) {
+        return 0;
+      }
+      return (this.maxInteractionId - this.minInteractionId) / 7 + 1;
+    },
+
+    /**
+     * Compute INP from the longest interactions, ignoring one outlier per 50 interactions
+     */
+    updateInteractionToNextPaint() {
+      const index = Math.min(
+        this.longestInteractions.length - 1,
+        Math.floor(this.getInteractionCount() / 50)
+      );
+      const interaction = this.longestInteractions[index];
+
+      if (!interaction) {
+        return;
+      }
+
+      const entry = interaction.entries.find((item) => item.target) || interaction.entries[0];
+
+      this.metrics.interactionToNextPaint = interaction.latency;
+      this.attribution.interactionToNextPaint = {
+        target: this.getSelector(entry.target),
+        eventType: entry.name,
+        startTime: Math.round(entry.startTime),
+        inputDelay: Math.round(entry.processingStart - entry.startTime),
+        processingDuration: Math.round(entry.processingEnd - entry.processingStart),
+        presentationDelay: Math.round(entry.startTime + entry.duration - entry.processingEnd)
+      };
+
+      this.notify('interactionToNextPaint');
+      loggers.performance.info('INP:', this.metrics.interactionToNextPaint + 'ms', this.attribution.interactionToNextPaint);
+    },
+
+    /**
+     * Announce that a metric changed so live views can update
+     * @param {string} metric - Metric name
+     */
+    notify(metric) {
+      document.dispatchEvent(new CustomEvent('perf:metric-update', {
+        detail: {
+          metric,
+          value: this.metrics[metric]
+        }
+      }));
+    },
+
+    /**
+     * Build a short CSS selector that identifies an element in reports
+     * @param {Element} node - Element to describe
+     * @returns {string} Selector, or an empty string for missing nodes
+     */
+    getSelector(node) {
+      const parts = [];
+      let element = node;
+
+      while (element && element.nodeType === 1 && parts.length < 5) {
+        if (element.id) {
+          parts.unshift(`#${element.id}`);
+          break;
+        }
+
+        let part = element.tagName.toLowerCase();
+        // SVG elements expose className as an object
+        const className = typeof element.className === 'string' ? element.className.trim() : '';
+        if (className) {
+          part += `.${className.split(/\s+/).join('.')}`;
+        }
+
+        parts.unshift(part);
+        element = element.parentElement;
+      }
+
+      return parts.join(' > ');
+    },
+
+    /**
+     * Log all collected metrics
+     */
+    logMetrics() {
+      window.addEventListener('load', () => {
+        const settled = new Promise((resolve) => setTimeout(resolve, 3000));
+
+        Promise.all([
+          settled,
+          this.measureTimeToInteractive(),
+          PerformanceBudgets.load()
+        ]).then(() => {
+          loggers.performance.group('Metrics Summary');
+          loggers.performance.table(this.metrics);
+          loggers.performance.info('Attribution:', this.attribution);
+          loggers.performance.groupEnd();
+
+          // Check against performance budgets
+          this.checkPerformanceBudgets();
+        });
+      });
+    },
+
+    /**
+     * Check metrics against performance budgets
+     */
+    checkPerformanceBudgets() {
+      const violations = PerformanceBudgets.check(this.metrics);
+
+      if (violations.length > 0) {
+        loggers.performance.warn('Budget violations detected:', violations);
+      } else {
+        loggers.performance.info('All metrics within budget ✓');
+      }
+    }
+  };
+
+  /**
+   * Resource timing aggregation and page weight budgets
+   */
+  const ResourceMonitor = {
+    entries: [],
+    metrics: {
+      resourceCount: 0,
+      totalBytes: 0,
+      imageBytes: 0,
+      aboveFoldImageBytes: 0,
+      scriptBytes: 0,
+      cssBytes: 0,
+      fontBytes: 0,
+      fetchBytes: 0,
+      thirdPartyBytes: 0
+    },
+    byType: {},
+    byParty: {},
+    flags: {
+      uncached: [],
+      uncompressed: []
+    },
+
+    // Images and fonts are compressed formats, so only text responses are checked
+    compressibleTypes: ['css', 'script', 'fetch', 'other'],
+    minCompressibleBytes: 1024,
+
+    /**
+     * Initialize resource monitoring
+     */
+    init() {
+      if (!window.PerformanceObserver || !PerformanceMonitor.supportsEntryType('resource')) {
+        loggers.resourceMonitor.warn('Resource Timing not supported');
+        return;
+      }
+
+      try {
+        const resourceObserver = new PerformanceObserver((entryList) => {
+          this.entries.push(...entryList.getEntries());
+        });
+        resourceObserver.observe({ type: 'resource', buffered: true });
+      } catch (error) {
+        loggers.resourceMonitor.error('Error setting up observer:', error);
+        return;
+      }
+
+      window.addEventListener('load', () => {
+        const settled = new Promise((resolve) => setTimeout(resolve, 3000));
+
+        Promise.all([settled, PerformanceBudgets.load()]).then(() => {
+          this.summarize();
+          this.logSummary();
+          this.checkByteBudgets();
+        });
+      });
+    },
+
+    /**
+     * Group a resource by what it is rather than what requested it
+     * @param {PerformanceResourceTiming} entry - Resource entry
+     * @returns {string} One of img, css, script, font, fetch, other
+     */
+    getResourceType(entry) {
+      let path = '';
+      try {
+        path = new URL(entry.name).pathname.toLowerCase();
+      } catch (error) {
+        path = '';
+      }
+
+      if (/\.(woff2?|ttf|otf|eot)$/.test(path)) {
+        return 'font';
+      }
+      if (entry.initiatorType === 'img' || entry.initiatorType === 'image' ||
+          /\.(png|jpe?g|gif|webp|avif|svg)$/.test(path)) {
+        return 'img';
+      }
+      if (/\.css$/.test(path)) {
+        return 'css';
+      }
+      if (entry.initiatorType === 'script' || /\.m?js$/.test(path)) {
+        return 'script';
+      }
+      if (['fetch', 'xmlhttprequest', 'beacon'].includes(entry.initiatorType)) {
+        return 'fetch';
+      }
+      return 'other';
+    },
+
+    /**
+     * Bytes a resource adds to page weight. Cached responses have no transfer
+     * size, so their encoded body size is used instead.
+     * @param {PerformanceResourceTiming} entry - Resource entry
+     * @returns {number} Size in bytes
+     */
+    getWeight(entry) {
+      return entry.transferSize > 0 ? entry.transferSize : (entry.encodedBodySize || 0);
+    },
+
+    /**
+     * Collect the URLs of images in the first screen of the page, measured
+     * from the top of the document so scrolling does not change the result
+     * @returns {Set<string>} Absolute image URLs
+     */
+    getAboveFoldImageUrls() {
+      const urls = new Set();
+      const scrollY = window.scrollY;
+
+      document.querySelectorAll('img').forEach((img) => {
+        const rect = img.getBoundingClientRect();
+        const top = rect.top + scrollY;
+        if (img.currentSrc && top < window.innerHeight && top + rect.height > 0) {
+          urls.add(img.currentSrc);
+        }
+      });
+
+      return urls;
+    },
+
+    /**
+     * Aggregate the observed entries into totals, party splits and flags
+     */
+    summarize() {
+      const aboveFold = this.getAboveFoldImageUrls();
+      const empty = () => ({ count: 0, transferSize: 0, decodedSize: 0, duration: 0 });
+      const add = (totals, entry) => {
+        totals.count++;
+        totals.transferSize += entry.transferSize || 0;
+        totals.decodedSize += entry.decodedBodySize || 0;
+        totals.duration += Math.round(entry.duration);
+      };
+
+      this.byType = {};
+      this.byParty = { firstParty: empty(), thirdParty: empty() };
+      this.flags = { uncached: [], uncompressed: [] };
+      Object.keys(this.metrics).forEach((metric) => {
+        this.metrics[metric] = 0;
+      });
+
+      this.entries.forEach((entry) => {
+        const type = this.getResourceType(entry);
+        const thirdParty = PerformanceMonitor.isThirdParty(entry.name);
+        const weight = this.getWeight(entry);
+
+        this.byType[type] = this.byType[type] || empty();
+        add(this.byType[type], entry);
+        add(thirdParty ? this.byParty.thirdParty : this.byParty.firstParty, entry);
+
+        this.metrics.resourceCount++;
+        this.metrics.totalBytes += weight;
+        if (thirdParty) {
+          this.metrics.thirdPartyBytes += weight;
+        }
+
+        const typeMetric = {
+          img: 'imageBytes',
+          script: 'scriptBytes',
+          css: 'cssBytes',
+          font: 'fontBytes',
+          fetch: 'fetchBytes'
+        }[type];
+        if (typeMetric) {
+          this.metrics[typeMetric] += weight;
+        }
+        if (type === 'img' && aboveFold.has(entry.name)) {
+          this.metrics.aboveFoldImageBytes += weight;
+        }
+
+        // Cross-origin responses without Timing-Allow-Origin report no sizes
+        if (!entry.decodedBodySize) {
+          return;
+        }
+
+        if (entry.transferSize > 0) {
+          this.flags.uncached.push(entry.name);
+        }
+        if (this.compressibleTypes.includes(type) &&
+            entry.decodedBodySize >= this.minCompressibleBytes &&
+            entry.encodedBodySize === entry.decodedBodySize) {
+          this.flags.uncompressed.push(entry.name);
+        }
+      });
+    },
+
+    /**
+     * Log the resource summary
+     */
+    logSummary() {
+      loggers.resourceMonitor.group('Resource Summary');
+      loggers.resourceMonitor.table(this.byType);
+      loggers.resourceMonitor.table(this.byParty);
+      loggers.resourceMonitor.table(this.metrics);
+      if (this.flags.uncached.length > 0) {
+        loggers.resourceMonitor.info('Loaded from network (check cache headers on repeat visits):', this.flags.uncached);
+      }
+      if (this.flags.uncompressed.length > 0) {
+        loggers.resourceMonitor.warn('Served without compression:', this.flags.uncompressed);
+      }
+      loggers.resourceMonitor.groupEnd();
+    },
+
+    /**
+     * Check page weight against the byte budgets
+     */
+    checkByteBudgets() {
+      const violations = PerformanceBudgets.check(this.metrics);
+
+      if (violations.length > 0) {
+        loggers.resourceMonitor.warn('Byte budget violations detected:', violations);
+      } else {
+        loggers.resourceMonitor.info('Page weight within budget ✓');
+      }
+    }
+  };
+
+  /**
+   * Real-user monitoring reporter
+   * Batches collected metrics with page context and beacons them to a collector
+   */
+  const MetricsReporter = {
+    config: {
+      endpoint: '',
+      sampleRate: 1,
+      maxRetries: 3,
+      retryDelay: 1000,
+      maxPendingBatches: 10,
+      storageKey: 'perf:pending-beacons',
+      sampleKey: 'perf:rum-sampled'
+    },
+    queue: [],
+    pageId: null,
+    sampled: false,
+    flushedWhileHidden: false,
+
+    /**
+     * Initialize reporting if an endpoint is configured and this session is sampled
+     */
+    init() {
+      this.readConfig();
+
+      if (!this.config.endpoint) {
+        loggers.reporter.info('No endpoint configured, reporting disabled');
+        return;
+      }
+
+      this.sampled = this.isSampled();
+      if (!this.sampled) {
+        loggers.reporter.info('Session not sampled, reporting disabled');
+        return;
+      }
+
+      this.pageId = this.createId();
+      this.retryPending();
+
+      document.addEventListener(PerformanceBudgets.violationEvent, (event) => {
+        this.enqueue('budget-violation', event.detail);
+      });
+
+      document.addEventListener(LazyLoader.errorEvent, (event) => {
+        const { element, ...detail } = event.detail;
+        this.enqueue('asset-error', { ...detail, selector: PerformanceMonitor.getSelector(element) });
+      });
+
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+          this.flush();
+        } else {
+          this.flushedWhileHidden = false;
+        }
+      });
+
+      // Safari does not always fire visibilitychange when the page is unloaded
+      window.addEventListener('pagehide', () => this.flush());
+    },
+
+    /**
+     * Read endpoint and sample rate from <meta name="rum-*"> tags
+     */
+    readConfig() {
+      const endpoint = document.querySelector('meta[name="rum-endpoint"]');
+      const sampleRate = document.querySelector('meta[name="rum-sample-rate"]');
+
+      if (endpoint && endpoint.content) {
+        this.config.endpoint = endpoint.content;
+      }
+
+      if (sampleRate) {
+        const rate = parseFloat(sampleRate.content);
+        if (!isNaN(rate)) {
+          this.config.sampleRate = Math.min(Math.max(rate, 0), 1);
+        }
+      }
+    },
+
+    /**
+     * Decide once per session whether this visitor is reported
+     * @returns {boolean} True if the session is sampled
+     */
+    isSampled() {
+      try {
+        const stored = sessionStorage.getItem(this.config.sampleKey);
+        if (stored !== null) {
+          return stored === '1';
+        }
+
+        const sampled = Math.random() < this.config.sampleRate;
+        sessionStorage.setItem(this.config.sampleKey, sampled ? '1' : '0');
+        return sampled;
+      } catch (error) {
+        return Math.random() < this.config.sampleRate;
+      }
+    },
+
+    /**
+     * Create an identifier for this page view
+     * @returns {string} Page view id
+     */
+    createId() {
+      return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    },
+
+    /**
+     * Queue an event to be sent with the next batch
+     * @param {string} type - Event type
+     * @param {Object} data - Event payload
+     */
+    enqueue(type, data) {
+      if (!this.sampled) {
+        return;
+      }
+
+      this.queue.push({
+        type,
+        timestamp: Math.round(performance.now()),
+        data
+      });
+    },
+
+    /**
+     * Collect page context sent with every batch
+     * @returns {Object} Page context
+     */
+    getContext() {
+      const compatibility = window.Compatibility;
+      const browser = compatibility ? compatibility.BrowserDetection.detect() : null;
+      const connection = navigator.connection;
+
+      return {
+        pageId: this.pageId,
+        url: location.href,
+        referrer: document.referrer,
+        browser: browser ? {
+          name: browser.browser,
+          version: browser.version,
+          engine: browser.engine
+        } : null,
+        connection: connection ? {
+          effectiveType: connection.effectiveType,
+          rtt: connection.rtt,
+          downlink: connection.downlink,
+          saveData: !!connection.saveData
+        } : null,
+        viewport: {
+          width: window.innerWidth,
+          height: window.innerHeight
+        }
+      };
+    },
+
+    /**
+     * Send the current metrics and queued events
+     */
+    flush() {
+      if (!this.sampled || this.flushedWhileHidden) {
+        return;
+      }
+
+      if (document.visibilityState === 'hidden') {
+        this.flushedWhileHidden = true;
+      }
+
+      const batch = {
+        context: this.getContext(),
+        sentAt: Date.now(),
+        metrics: Object.assign({}, PerformanceMonitor.metrics),
+        attribution: PerformanceMonitor.attribution,
+        resources: Object.assign({}, ResourceMonitor.metrics),
+        events: this.queue.splice(0)
+      };
+
+      this.send(batch, 0);
+    },
+
+    /**
+     * Send a batch with sendBeacon, falling back to fetch keepalive
+     * @param {Object} batch - Batch to send
+     * @param {number} attempt - Zero-based attempt number
+     */
+    send(batch, attempt) {
+      const body = JSON.stringify(batch);
+
+      // text/plain keeps the beacon a CORS-safelisted request
+      if (navigator.sendBeacon) {
+        const blob = new Blob([body], { type: 'text/plain;charset=UTF-8' });
+        if (navigator.sendBeacon(this.config.endpoint, blob)) {
+          return;
+        }
+      }
+
+      if (typeof fetch === 'undefined') {
+        this.storePending(batch, attempt);
+        return;
+      }
+
+      fetch(this.config.endpoint, {
+        method: 'POST',
+        body,
+        keepalive: true,
+        headers: { 'Content-Type': 'text/plain;charset=UTF-8' }
+      })
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(`Collector responded with ${response.status}`);
+          }
+        })
+        .catch((error) => this.retry(batch, attempt, error));
+    },
+
+    /**
+     * Retry a failed batch with exponential backoff
+     * @param {Object} batch - Batch that failed
+     * @param {number} attempt - Attempt that failed
+     * @param {Error} error - Failure reason
+     */
+    retry(batch, attempt, error) {
+      if (attempt >= this.config.maxRetries) {
+        loggers.reporter.warn('Dropping batch after', attempt + 1, 'attempts:', error);
+        return;
+      }
+
+      // The page may be going away, so keep the batch for the next visit
+      if (document.visibilityState === 'hidden') {
+        this.storePending(batch, attempt + 1);
+        return;
+      }
+
+      const delay = this.config.retryDelay * Math.pow(2, attempt);
+      setTimeout(() => this.send(batch, attempt + 1), delay);
+    },
+
+    /**
+     * Persist a batch so it can be retried on the next page view
+     * @param {Object} batch - Batch to persist
+     * @param {number} attempt - Next attempt number
+     */
+    storePending(batch, attempt) {
+      try {
+        const pending = JSON.parse(localStorage.getItem(this.config.storageKey) || '[]');
+        pending.push({ batch, attempt });
+        localStorage.setItem(
+          this.config.storageKey,
+          JSON.stringify(pending.slice(-this.config.maxPendingBatches))
+        );
+      } catch (error) {
+        loggers.reporter.warn('Unable to store pending batch:', error);
+      }
+    },
+
+    /**
+     * Resend batches left over from previous page views
+     */
+    retryPending() {
+      let pending = [];
+
+      try {
+        pending = JSON.parse(localStorage.getItem(this.config.storageKey) || '[]');
+        localStorage.removeItem(this.config.storageKey);
+      } catch (error) {
+        return;
+      }
+
+      pending.forEach((item) => {
+        if (item && item.batch && item.attempt <= this.config.maxRetries) {
+          this.send(item.batch, item.attempt);
+        }
+      });
+    }
+  };
+
+  /**
+   * Loader for the on-page performance debug HUD.
+   * The HUD script is only fetched when ?perf=1 is present or Alt+Shift+P is pressed.
+   */
+  const DebugHud = {
+    loading: null,
+
+    /**
+     * Load the HUD now if requested, otherwise wait for the shortcut
+     */
+    init() {
+      if (new URLSearchParams(location.search).get('perf') === '1') {
+        this.load().then((hud) => hud && hud.open());
+      }
+
+      document.addEventListener('keydown', (e) => {
+        if (e.altKey && e.shiftKey && e.code === 'KeyP') {
+          e.preventDefault();
+          this.load().then((hud) => hud && hud.toggle({ focus: true }));
+        }
+      });
+    },
+
+    /**
+     * Inject the HUD script next to this one and hand it the monitor
+     * @returns {Promise<Object|null>} The HUD API, or null if it failed to load
+     */
+    load() {
+      if (!this.loading) {
+        this.loading = new Promise((resolve, reject) => {
+          const script = document.createElement('script');
+          script.src = currentScript
+            ? currentScript.src.replace(/performance(\.min)?\.js/, 'perf-hud$1.js')
+            : 'js/perf-hud.js';
+          script.onload = () => {
+            window.PerfHud.attach(PerformanceMonitor, PerformanceBudgets, MediaPolicy);
+            resolve(window.PerfHud);
+          };
+          script.onerror = () => reject(new Error(`Failed to load ${script.src}`));
+          document.head.appendChild(script);
+        }).catch((error) => {
+          loggers.debugHud.error('Unable to open HUD:', error);
+          this.loading = null;
+          return null;
+        });
+      }
+
+      return this.loading;
+    }
+  };
+
+  /**
+   * Adaptive media policy
+   * Switches LazyLoader to lighter media on Save-Data and slow connections
+   */
+  const MediaPolicy = {
+    changeEvent: 'perf:media-policy-change',
+    // ?media=lite|full|auto or localStorage overrides the detected mode for testing
+    queryParam: 'media',
+    storageKey: 'perf:media-policy',
+    modes: ['auto', 'full', 'lite'],
+    override: 'auto',
+    mode: 'full',
+    reason: 'default',
+
+    /**
+     * Read any override, pick the initial mode and follow connection changes
+     */
+    init() {
+      this.override = this.readOverride();
+      this.update();
+
+      const connection = navigator.connection;
+      if (connection && typeof connection.addEventListener === 'function') {
+        connection.addEventListener('change', () => this.update());
+      }
+    },
+
+    /**
+     * Read the override from the query string, then localStorage
+     * @returns {string} auto, full or lite
+     */
+    readOverride() {
+      try {
+        const fromQuery = new URLSearchParams(window.location.search).get(this.queryParam);
+        if (this.modes.includes(fromQuery)) {
+          return fromQuery;
+        }
+      } catch (error) {
+        // Ignore malformed URLs and fall through to storage
+      }
+
+      try {
+        const fromStorage = localStorage.getItem(this.storageKey);
+        if (this.modes.includes(fromStorage)) {
+          return fromStorage;
+        }
+      } catch (error) {
+        // Storage can be blocked by privacy settings
+      }
+
+      return 'auto';
+    },
+
+    /**
+     * Force a mode, or return to detection with 'auto'
+     * @param {string} mode - auto, full or lite
+     * @param {boolean} [persist] - Also store it in localStorage for later visits
+     */
+    setOverride(mode, persist) {
+      if (!this.modes.includes(mode)) {
+        return;
+      }
+
+      this.override = mode;
+
+      if (persist) {
+        try {
+          if (mode === 'auto') {
+            localStorage.removeItem(this.storageKey);
+          } else {
+            localStorage.setItem(this.storageKey, mode);
+          }
+        } catch (error) {
+          // Storage can be blocked by privacy settings
+        }
+      }
+
+      this.update();
+    },
+
+    /**
+     * Work out which mode applies and why
+     * @returns {Object} mode (full or lite) and the reason it was chosen
+     */
+    evaluate() {
+      if (this.override !== 'auto') {
+        return { mode: this.override, reason: 'override' };
+      }
+
+      const connection = navigator.connection;
+      if (connection && connection.saveData) {
+        return { mode: 'lite', reason: 'save-data' };
+      }
+      if (connection && PerformanceBudgets.slowConnections.includes(connection.effectiveType)) {
+        return { mode: 'lite', reason: connection.effectiveType };
+      }
+
+      return { mode: 'full', reason: 'default' };
+    },
+
+    /**
+     * Re-evaluate the mode and tell listeners when it changes
+     */
+    update() {
+      const { mode, reason } = this.evaluate();
+      const changed = mode !== this.mode;
+
+      this.mode = mode;
+      this.reason = reason;
+      this.applyAutoplay(document);
+
+      if (changed) {
+        loggers.mediaPolicy.info(`Mode: ${mode} (${reason})`);
+        document.dispatchEvent(new CustomEvent(this.changeEvent, {
+          detail: { mode, reason }
+        }));
+      }
+    },
+
+    /**
+     * Check whether lighter media should be used
+     * @returns {boolean} True in lite mode
+     */
+    isLite() {
+      return this.mode === 'lite';
+    },
+
+    /**
+     * Decorative images add nothing for screen readers and can be skipped in lite mode
+     * @param {HTMLImageElement} img - Image element
+     * @returns {boolean} True if the image is purely decorative
+     */
+    isDecorative(img) {
+      return img.getAttribute('alt') === '' ||
+        img.getAttribute('role') === 'presentation' ||
+        img.getAttribute('aria-hidden') === 'true';
+    },
+
+    /**
+     * Rewrite a deferred image's data-* sources to their low-resolution variants:
+     * data-src-low when present, otherwise the smallest srcset candidate
+     * @param {HTMLImageElement} img - Deferred image element
+     */
+    useLowQuality(img) {
+      const picture = img.parentElement && img.parentElement.tagName === 'PICTURE'
+        ? img.parentElement
+        : null;
+
+      if (img.dataset.srcLow) {
+        img.dataset.src = img.dataset.srcLow;
+        img.removeAttribute('data-src-low');
+        img.removeAttribute('data-srcset');
+        img.removeAttribute('data-sizes');
+        if (picture) {
+          picture.querySelectorAll('source[data-srcset]').forEach((source) => {
+            source.removeAttribute('data-srcset');
+          });
+        }
+        return;
+      }
+
+      const targets = picture
+        ? [img, ...picture.querySelectorAll('source[data-srcset]')]
+        : [img];
+
+      targets.forEach((element) => {
+        if (element.dataset.srcset) {
+          element.dataset.srcset = this.getSmallestCandidate(element.dataset.srcset);
+          element.removeAttribute('data-sizes');
+        }
+      });
+    },
+
+    /**
+     * Pick the lowest-resolution candidate from a srcset
+     * @param {string} srcset - srcset attribute value
+     * @returns {string} srcset with only that candidate
+     */
+    getSmallestCandidate(srcset) {
+      const candidates = srcset.split(',').map((candidate) => {
+        const [url, descriptor = '1x'] = candidate.trim().split(/\s+/);
+        return { url, size: parseFloat(descriptor) || 1 };
+      }).filter((candidate) => candidate.url);
+
+      if (candidates.length === 0) {
+        return srcset;
+      }
+
+      const smallest = candidates.reduce((min, candidate) => {
+        return candidate.size < min.size ? candidate : min;
+      });
+
+      // Returned without its descriptor: a lone w descriptor would need sizes
+      return smallest.url;
+    },
+
+    /**
+     * Turn autoplay off in lite mode and back on in full mode.
+     * Paused videos are marked with data-autoplay so they can be resumed.
+     * @param {Document|Element} root - Subtree to update
+     */
+    applyAutoplay(root) {
+      const lite = this.isLite();
+      const selector = lite ? 'video[autoplay]' : 'video[data-autoplay]';
+      const videos = Array.from(root.querySelectorAll(selector));
+
+      if (root.nodeType === 1 && root.matches(selector)) {
+        videos.push(root);
+      }
+
+      videos.forEach((video) => {
+        if (lite) {
+          video.autoplay = false;
+          video.dataset.autoplay = '';
+          video.pause();
+        } else {
+          video.autoplay = true;
+          video.removeAttribute('data-autoplay');
+
+          // Autoplay only starts on load, so resume videos that already have a source;
+          // ones still behind a facade autoplay once it loads them
+          if (video.currentSrc) {
+            const playing = video.play();
+            if (playing && typeof playing.catch === 'function') {
+              playing.catch((error) => {
+                loggers.mediaPolicy.warn('Could not resume autoplay:', error);
+              });
+            }
+          }
+        }
+      });
+    }
+  };
+
+  /**
+   * Lazy loading implementation using Intersection Observer
+   */
+  const LazyLoader = {
+    observer: null,
+    config: {
+      rootMargin: '50px 0px',
+      threshold: 0.01,
+      placeholderColor: '#f0f0f0',
+      // Retries after the first failure; delay doubles each time.
+      // Read from <meta name="lazy-retries"> and <meta name="lazy-retry-delay">
+      retries: 2,
+      retryDelay: 1000,
+      // Used when an element has no data-fallback; read from <meta name="lazy-fallback-image">
+      fallbackImage: ''
+    },
+    errorEvent: 'lazy:load-error',
+    // Deferred elements keep their real sources in data-* attributes until swapped in
+    selector: 'img[loading="lazy"], img[data-src], img[data-srcset], picture img, [data-bg]',
+    supportsNativeLazy: 'loading' in HTMLImageElement.prototype,
+
+    // Videos and embeds are replaced by a poster-and-play-button facade until needed
+    mediaSelector: 'iframe[data-src], video[data-src], video source[data-src]',
+    mediaObserver: null,
+    mediaConfig: {
+      rootMargin: '200px 0px',
+      threshold: 0
+    },
+    liveRegion: null,
+
+    // Elements waiting for the observer, and images whose outcome is already tracked
+    pending: new Set(),
+    watched: new WeakSet(),
+    mutationObserver: null,
+
+    /**
+     * Initialize lazy loading for images and media, now and as content is added
+     */
+    init() {
+      this.readConfig();
+
+      if ('IntersectionObserver' in window) {
+        this.setupObserver();
+      } else {
+        loggers.lazyLoader.warn('IntersectionObserver not supported, loading all images');
+      }
+
+      this.observe(document);
+      this.watchMutations();
+
+      // Images skipped and media held back in lite mode load once it ends
+      document.addEventListener(MediaPolicy.changeEvent, () => {
+        if (!MediaPolicy.isLite()) {
+          this.refresh();
+          document.querySelectorAll('.media-facade').forEach((facade) => this.watchFacade(facade));
+        }
+      });
+    },
+
+    /**
+     * Setup Intersection Observers for images and media facades
+     */
+    setupObserver() {
+      this.observer = new IntersectionObserver((entries) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) {
+            this.observer.unobserve(entry.target);
+            this.pending.delete(entry.target);
+            this.loadElement(entry.target);
+          }
+        });
+      }, this.config);
+
+      this.mediaObserver = new IntersectionObserver((entries) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) {
+            this.mediaObserver.unobserve(entry.target);
+            this.activateMedia(entry.target.mediaElement, false);
+          }
+        });
+      }, this.mediaConfig);
+    },
+
+    /**
+     * Read the retry and fallback settings from <meta name="lazy-*"> tags,
+     * keeping the defaults for missing or invalid values
+     */
+    readConfig() {
+      const fallbackImage = document.querySelector('meta[name="lazy-fallback-image"]');
+      const retries = document.querySelector('meta[name="lazy-retries"]');
+      const retryDelay = document.querySelector('meta[name="lazy-retry-delay"]');
+
+      if (fallbackImage && fallbackImage.content) {
+        this.config.fallbackImage = fallbackImage.content;
+      }
+
+      if (retries) {
+        const count = parseInt(retries.content, 10);
+        if (!isNaN(count)) {
+          this.config.retries = Math.max(count, 0);
+        }
+      }
+
+      if (retryDelay) {
+        const delay = parseInt(retryDelay.content, 10);
+        if (!isNaN(delay)) {
+          this.config.retryDelay = Math.max(delay, 0);
+        }
+      }
+    },
+
+    /**
+     * Register every lazy element inside a root, including the root itself.
+     * Images are handed to native loading="lazy" where supported;
+     * backgrounds always need the observer.
+     * @param {Document|Element} root - Subtree to scan
+     * @returns {number} Number of newly registered elements
+     */
+    observe(root) {
+      this.setupMediaFacades(root);
+      MediaPolicy.applyAutoplay(root);
+
+      const elements = this.findElements(root, this.selector).filter((element) => {
+        return this.shouldRegister(element);
+      });
+
+      if (elements.length > 0) {
+        loggers.lazyLoader.info(`Observing ${elements.length} images`);
+      }
+
+      elements.forEach((element) => this.register(element));
+
+      return elements.length;
+    },
+
+    /**
+     * Stop tracking lazy elements inside a root that have not loaded yet
+     * @param {Document|Element} root - Subtree to release
+     */
+    unobserve(root) {
+      this.pending.forEach((element) => {
+        if (root === element || root.contains(element)) {
+          if (this.observer) {
+            this.observer.unobserve(element);
+          }
+          this.pending.delete(element);
+        }
+      });
+
+      if (this.mediaObserver) {
+        this.findElements(root, '.media-facade').forEach((facade) => {
+          this.mediaObserver.unobserve(facade);
+        });
+      }
+    },
+
+    /**
+     * Rescan the whole document, e.g. after data-src was set on existing elements
+     * @returns {number} Number of newly registered elements
+     */
+    refresh() {
+      return this.observe(document);
+    },
+
+    /**
+     * Register elements added to the page later and release removed ones
+     */
+    watchMutations() {
+      if (!('MutationObserver' in window)) {
+        return;
+      }
+
+      this.mutationObserver = new MutationObserver((records) => {
+        records.forEach((record) => {
+          record.removedNodes.forEach((node) => {
+            // Moved nodes are removed and re-added; only release ones that left the page
+            if (node.nodeType === 1 && !node.isConnected) {
+              this.unobserve(node);
+            }
+          });
+
+          record.addedNodes.forEach((node) => {
+            if (node.nodeType === 1 && node.isConnected) {
+              this.observe(node);
+            }
+          });
+        });
+      });
+
+      this.mutationObserver.observe(document.documentElement, {
+        childList: true,
+        subtree: true
+      });
+    },
+
+    /**
+     * Find elements matching a selector in a root, including the root itself
+     * @param {Document|Element} root - Subtree to search
+     * @param {string} selector - CSS selector
+     * @returns {Array<Element>} Matching elements
+     */
+    findElements(root, selector) {
+      const found = Array.from(root.querySelectorAll(selector));
+
+      if (root.nodeType === 1 && root.matches(selector)) {
+        found.unshift(root);
+      }
+
+      return found;
+    },
+
+    /**
+     * Check whether an element still needs lazy loading handled
+     * @param {HTMLElement} element - Candidate element
+     * @returns {boolean} True if it should be registered
+     */
+    shouldRegister(element) {
+      // Facade posters are managed by their facade
+      if (this.pending.has(element) || element.closest('.media-facade')) {
+        return false;
+      }
+
+      if (element.tagName !== 'IMG' || this.isDeferred(element)) {
+        return true;
+      }
+
+      return element.loading === 'lazy' && !this.watched.has(element);
+    },
+
+    /**
+     * Set up lazy loading for a single element
+     * @param {HTMLElement} element - Image or element with data-bg
+     */
+    register(element) {
+      this.applyPlaceholder(element);
+
+      if (element.tagName === 'IMG') {
+        if (!this.isDeferred(element)) {
+          // The browser already owns this download; just track its outcome
+          this.watchImage(element, element.currentSrc || element.src);
+          return;
+        }
+
+        if (this.supportsNativeLazy) {
+          element.loading = 'lazy';
+          this.loadImage(element);
+          return;
+        }
+      }
+
+      if (!this.observer) {
+        element.removeAttribute('loading');
+        this.loadElement(element);
+        return;
+      }
+
+      this.pending.add(element);
+      this.observer.observe(element);
+    },
+
+    /**
+     * Show a placeholder and reserve space until the real image arrives.
+     * data-lqip holds a tiny inline image, data-placeholder-color a dominant color
+     * and data-aspect-ratio the ratio to reserve when width/height are not set.
+     * @param {HTMLElement} element - Image or element with data-bg
+     */
+    applyPlaceholder(element) {
+      const { lqip, placeholderColor, aspectRatio } = element.dataset;
+
+      if (aspectRatio && !element.style.aspectRatio) {
+        element.style.aspectRatio = aspectRatio;
+      }
+
+      if (!element.style.backgroundColor) {
+        element.style.backgroundColor = placeholderColor || this.config.placeholderColor;
+      }
+
+      if (lqip) {
+        element.style.backgroundImage = `url("${lqip}")`;
+        element.style.backgroundSize = 'cover';
+        element.style.backgroundPosition = 'center';
+
+        // Backgrounds are swapped in place; blurring them would blur their content too
+        if (element.tagName === 'IMG') {
+          element.classList.add('lazy-blur');
+        }
+      }
+    },
+
+    /**
+     * Remove the placeholder once the real image is showing.
+     * Transparent images would otherwise show the placeholder through them,
+     * and backgrounds would keep overriding their stylesheet.
+     * @param {HTMLElement} element - Loaded image or data-bg element
+     */
+    clearPlaceholder(element) {
+      element.style.backgroundColor = '';
+      element.style.backgroundImage = '';
+      element.style.backgroundSize = '';
+      element.style.backgroundPosition = '';
+    },
+
+    /**
+     * Check whether an image still has sources waiting in data-* attributes
+     * @param {HTMLImageElement} img - Image element
+     * @returns {boolean} True if the real sources have not been applied yet
+     */
+    isDeferred(img) {
+      const picture = img.parentElement && img.parentElement.tagName === 'PICTURE'
+        ? img.parentElement
+        : null;
+
+      return !!(img.dataset.src || img.dataset.srcset ||
+                (picture && picture.querySelector('source[data-srcset]')));
+    },
+
+    /**
+     * Load an observed element
+     * @param {HTMLElement} element - Image or element with data-bg
+     */
+    loadElement(element) {
+      if (element.tagName === 'IMG') {
+        this.loadImage(element);
+      } else {
+        this.loadBackground(element, (MediaPolicy.isLite() && element.dataset.bgLow) || element.dataset.bg);
+      }
+    },
+
+    /**
+     * Load individual image by moving its data-* sources into place
+     * @param {HTMLImageElement} img - Image element to load
+     */
+    loadImage(img) {
+      if (MediaPolicy.isLite()) {
+        if (MediaPolicy.isDecorative(img)) {
+          img.classList.add('lazy-skipped');
+          loggers.lazyLoader.info('Skipping decorative image in lite mode:', img);
+          return;
+        }
+        MediaPolicy.useLowQuality(img);
+      }
+      img.classList.remove('lazy-skipped');
+
+      const picture = img.parentElement && img.parentElement.tagName === 'PICTURE'
+        ? img.parentElement
+        : null;
+
+      if (picture) {
+        picture.querySelectorAll('source[data-srcset]').forEach((source) => {
+          if (source.dataset.sizes) {
+            source.sizes = source.dataset.sizes;
+            source.removeAttribute('data-sizes');
+          }
+          source.srcset = source.dataset.srcset;
+          source.removeAttribute('data-srcset');
+        });
+      }
+
+      // sizes must be set before srcset so the right candidate is picked
+      if (img.dataset.sizes) {
+        img.sizes = img.dataset.sizes;
+        img.removeAttribute('data-sizes');
+      }
+      if (img.dataset.srcset) {
+        img.srcset = img.dataset.srcset;
+        img.removeAttribute('data-srcset');
+      }
+      if (img.dataset.src) {
+        img.src = img.dataset.src;
+        img.removeAttribute('data-src');
+      }
+
+      const url = img.getAttribute('src') || img.getAttribute('srcset');
+      if (!url) {
+        loggers.lazyLoader.warn('Image has no src or srcset:', img);
+        return;
+      }
+
+      this.watchImage(img, url);
+    },
+
+    /**
+     * Load a CSS background image from data-bg once it has downloaded,
+     * retrying and then falling back to data-fallback if it fails
+     * @param {HTMLElement} element - Element with a data-bg attribute
+     * @param {string} [url] - Source to try, defaults to data-bg
+     * @param {number} [attempt] - 1-based attempt number
+     */
+    loadBackground(element, url = element.dataset.bg, attempt = 1) {
+      const tempImg = new Image();
+
+      tempImg.onload = () => {
+        this.clearPlaceholder(element);
+        element.style.backgroundImage = `url("${url}")`;
+        element.removeAttribute('data-bg');
+        element.removeAttribute('data-bg-low');
+        element.classList.add('loaded');
+        loggers.lazyLoader.info('Background loaded:', url);
+      };
+
+      tempImg.onerror = () => {
+        this.handleError(element, url, attempt, {
+          retry: () => this.loadBackground(element, url, attempt + 1),
+          fallback: (fallbackUrl) => this.loadBackground(element, fallbackUrl)
+        });
+      };
+
+      tempImg.src = url;
+    },
+
+    /**
+     * Mark an image as loaded or failed once the browser finishes with it
+     * @param {HTMLImageElement} img - Image element
+     * @param {string} url - Source being loaded, for logging
+     * @param {number} [attempt] - 1-based attempt number
+     */
+    watchImage(img, url, attempt = 1) {
+      this.watched.add(img);
+
+      const onLoad = () => {
+        img.removeEventListener('error', onError);
+        this.clearPlaceholder(img);
+        img.classList.add('loaded');
+        loggers.lazyLoader.info('Image loaded:', url);
+      };
+
+      const onError = () => {
+        img.removeEventListener('load', onLoad);
+        this.handleError(img, url, attempt, {
+          retry: () => {
+            this.reloadImage(img);
+            this.watchImage(img, url, attempt + 1);
+          },
+          fallback: (fallbackUrl) => {
+            this.useFallbackImage(img, fallbackUrl);
+            this.watchImage(img, fallbackUrl);
+          }
+        });
+      };
+
+      if (img.complete && (img.currentSrc || img.getAttribute('src'))) {
+        if (img.naturalWidth !== 0) {
+          onLoad();
+        } else {
+          onError();
+        }
+        return;
+      }
+
+      img.addEventListener('load', onLoad, { once: true });
+      img.addEventListener('error', onError, { once: true });
+    },
+
+    /**
+     * Report a failed load, then retry with backoff, switch to the fallback
+     * or show the error state, in that order
+     * @param {HTMLElement} element - Image or element with data-bg
+     * @param {string} url - Source that failed
+     * @param {number} attempt - 1-based attempt number
+     * @param {Object} actions - retry() and fallback(url) callbacks for this element type
+     */
+    handleError(element, url, attempt, actions) {
+      const isFallback = element.classList.contains('lazy-fallback');
+      const fallbackUrl = element.dataset.fallback || this.config.fallbackImage;
+      const willRetry = !isFallback && attempt <= this.config.retries;
+
+      document.dispatchEvent(new CustomEvent(this.errorEvent, {
+        detail: { element, url, attempt, willRetry, isFallback }
+      }));
+
+      if (willRetry) {
+        const delay = this.config.retryDelay * Math.pow(2, attempt - 1);
+        loggers.lazyLoader.warn(`Failed to load ${url} (attempt ${attempt}), retrying in ${delay}ms`);
+        setTimeout(actions.retry, delay);
+        return;
+      }
+
+      if (!isFallback && fallbackUrl && fallbackUrl !== url) {
+        loggers.lazyLoader.warn(`Failed to load ${url} after ${attempt} attempts, using fallback:`, fallbackUrl);
+        element.classList.add('lazy-fallback');
+        actions.fallback(fallbackUrl);
+        return;
+      }
+
+      loggers.lazyLoader.error(`Failed to load ${url} after ${attempt} attempts`);
+      this.showError(element);
+    },
+
+    /**
+     * Request an image's current sources again
+     * @param {HTMLImageElement} img - Image element that failed
+     */
+    reloadImage(img) {
+      // Re-assigning the same value is enough to make the browser fetch it again
+      const srcset = img.getAttribute('srcset');
+      const src = img.getAttribute('src');
+
+      if (srcset) {
+        img.srcset = srcset;
+      }
+      if (src) {
+        img.src = src;
+      }
+    },
+
+    /**
+     * Point an image at its fallback asset
+     * @param {HTMLImageElement} img - Image element that failed
+     * @param {string} url - Fallback source
+     */
+    useFallbackImage(img, url) {
+      const picture = img.parentElement && img.parentElement.tagName === 'PICTURE'
+        ? img.parentElement
+        : null;
+
+      // Any remaining srcset would win over the fallback src
+      if (picture) {
+        picture.querySelectorAll('source').forEach((source) => source.removeAttribute('srcset'));
+      }
+      img.removeAttribute('srcset');
+      img.removeAttribute('sizes');
+      img.src = url;
+    },
+
+    /**
+     * Show the error state. Images keep their alt text, which the
+     * .lazy-error styles make readable in place of the broken image.
+     * @param {HTMLElement} element - Image or element with data-bg
+     */
+    showError(element) {
+      element.classList.remove('lazy-blur');
+      element.classList.add('error', 'lazy-error');
+
+      if (element.tagName === 'IMG') {
+        element.style.backgroundImage = '';
+      }
+    },
+
+    /**
+     * Put a facade in front of every deferred video and iframe in a root.
+     * data-load="visible" loads the media near the viewport, otherwise it waits for a click.
+     * @param {Document|Element} root - Subtree to scan
+     */
+    setupMediaFacades(root) {
+      const media = new Set();
+      this.findElements(root, this.mediaSelector).forEach((element) => {
+        const target = element.tagName === 'SOURCE' ? element.parentElement : element;
+        if (!target.facade) {
+          media.add(target);
+        }
+      });
+
+      if (media.size === 0) {
+        return;
+      }
+
+      this.createLiveRegion();
+      media.forEach((element) => {
+        this.watchFacade(this.createFacade(element));
+      });
+
+      loggers.lazyLoader.info(`Deferred ${media.size} media elements behind facades`);
+    },
+
+    /**
+     * Load data-load="visible" media near the viewport.
+     * In lite mode every facade waits for a click instead.
+     * @param {HTMLButtonElement} facade - Facade button
+     */
+    watchFacade(facade) {
+      if (facade.mediaElement.dataset.load !== 'visible' || MediaPolicy.isLite()) {
+        return;
+      }
+
+      if (this.mediaObserver) {
+        this.mediaObserver.observe(facade);
+      } else {
+        this.activateMedia(facade.mediaElement, false);
+      }
+    },
+
+    /**
+     * Build the poster-and-play-button facade for a video or iframe
+     * @param {HTMLVideoElement|HTMLIFrameElement} media - Deferred media element
+     * @returns {HTMLButtonElement} Facade button
+     */
+    createFacade(media) {
+      const title = media.getAttribute('title') || 'video';
+      const poster = media.dataset.poster;
+      const width = media.getAttribute('width');
+      const height = media.getAttribute('height');
+
+      const facade = document.createElement('button');
+      facade.type = 'button';
+      facade.className = 'media-facade';
+      facade.setAttribute('aria-label', `Play video: ${title}`);
+      facade.mediaElement = media;
+
+      // Keep the player's footprint so swapping it in does not shift the layout
+      if (width && height) {
+        facade.style.aspectRatio = `${width} / ${height}`;
+      }
+
+      if (poster) {
+        const img = document.createElement('img');
+        img.className = 'media-facade__poster';
+        img.src = poster;
+        img.alt = '';
+        img.loading = 'lazy';
+        img.decoding = 'async';
+        facade.appendChild(img);
+      }
+
+      const play = document.createElement('span');
+      play.className = 'media-facade__play';
+      play.setAttribute('aria-hidden', 'true');
+      facade.appendChild(play);
+
+      facade.addEventListener('click', () => this.activateMedia(media, true));
+
+      media.hidden = true;
+      media.facade = facade;
+      media.parentNode.insertBefore(facade, media);
+
+      return facade;
+    },
+
+    /**
+     * Swap the facade for the real player
+     * @param {HTMLVideoElement|HTMLIFrameElement} media - Deferred media element
+     * @param {boolean} fromUser - Activated by the user, so play, announce and move focus
+     */
+    activateMedia(media, fromUser) {
+      const facade = media.facade;
+      if (!facade || (!fromUser && MediaPolicy.isLite())) {
+        return;
+      }
+
+      if (this.mediaObserver) {
+        this.mediaObserver.unobserve(facade);
+      }
+
+      if (media.tagName === 'VIDEO') {
+        media.querySelectorAll('source[data-src]').forEach((source) => {
+          source.src = source.dataset.src;
+          source.removeAttribute('data-src');
+        });
+        if (media.dataset.poster) {
+          media.poster = media.dataset.poster;
+        }
+        media.controls = true;
+      }
+
+      if (media.dataset.src) {
+        media.src = media.dataset.src;
+        media.removeAttribute('data-src');
+      }
+
+      if (media.tagName === 'VIDEO') {
+        media.load();
+      }
+
+      media.hidden = false;
+      facade.remove();
+      media.facade = null;
+
+      if (!fromUser) {
+        return;
+      }
+
+      const title = media.getAttribute('title') || 'video';
+      this.announce(`${title} player loaded`);
+
+      if (media.tagName === 'VIDEO') {
+        media.play().catch(() => {
+          // Autoplay can still be refused; the controls are there to start it
+        });
+      }
+
+      media.focus();
+    },
+
+    /**
+     * Add the empty status region used by announce(). Screen readers skip
+     * text written into a region as it is inserted, so it has to exist first.
+     */
+    createLiveRegion() {
+      if (this.liveRegion) {
+        return;
+      }
+
+      this.liveRegion = document.createElement('div');
+      this.liveRegion.className = 'visually-hidden';
+      this.liveRegion.setAttribute('role', 'status');
+      this.liveRegion.setAttribute('aria-live', 'polite');
+      document.body.appendChild(this.liveRegion);
+    },
+
+    /**
+     * Announce a status message to screen readers
+     * @param {string} message - Message to announce
+     */
+    announce(message) {
+      if (this.liveRegion) {
+        this.liveRegion.textContent = message;
+      }
+    }
+  };
+
+  /**
+   * Progressive enhancement features
+   */
+  const ProgressiveEnhancement = {
+    // Scroll-spy state; a section is current while it crosses the middle of the viewport
+    spy: {
+      activeClass: 'nav-menu__link--active',
+      rootMargin: '-50% 0px -50% 0px',
+      links: new Map(),
+      sections: [],
+      current: null,
+      frame: null
+    },
+
+    // Auto-hiding header state
+    header: {
+      element: null,
+      hiddenClass: 'site-header--hidden',
+      // Scroll distance ignored so small jitters do not toggle the header
+      tolerance: 8,
+      lastScrollY: 0,
+      frame: null
+    },
+
+    // Mobile menu disclosure state
+    menu: {
+      nav: null,
+      toggle: null,
+      list: null,
+      isOpen: false,
+      breakpoint: 768,
+      openClass: 'nav-menu--open',
+      bodyOverflow: ''
+    },
+
+    // Inline form validation state
+    formState: {
+      validators: new Map(),
+      touched: new WeakSet(),
+      // Forms that passed validation and are being resubmitted
+      approved: new WeakSet(),
+      // Latest check per field ({ complete, result }), so slow async results
+      // cannot overwrite newer ones
+      checks: new WeakMap(),
+      // Last async validator result per field ({ value, message }), reused
+      // on submit while the value is unchanged
+      settled: new WeakMap(),
+      uid: 0,
+      // ValidityState flag → data-msg-* suffix
+      constraints: {
+        valueMissing: 'required',
+        typeMismatch: 'type',
+        badInput: 'type',
+        patternMismatch: 'pattern',
+        tooShort: 'minlength',
+        tooLong: 'maxlength',
+        rangeUnderflow: 'min',
+        rangeOverflow: 'max',
+        stepMismatch: 'step'
+      }
+    },
+
+    /**
+     * Initialize progressive enhancements
+     */
+    init() {
+      this.setupStickyHeader();
+      this.setupMobileNav();
+      this.enhanceNavigation();
+      this.setupScrollSpy();
+      this.enhanceForms();
+      this.addSmoothScrolling();
+      this.optimizeAnimations();
+    },
+
+    /**
+     * Enhance in-page links: smooth scrolling, history entries,
+     * focus on the target's heading and back/forward support
+     */
+    enhanceNavigation() {
+      const navLinks = document.querySelectorAll('a[href^="#"]');
+
+      navLinks.forEach((link) => {
+        link.addEventListener('click', (e) => {
+          const href = link.getAttribute('href');
+
+          // Skip if it's just "#"
+          if (href === '#') {
+            return;
+          }
+
+          const target = this.getHashTarget(href);
+
+          if (target) {
+            e.preventDefault();
+
+            // Update URL without triggering navigation
+            if (history.pushState && window.location.hash !== href) {
+              history.pushState({ section: target.id }, '', href);
+            }
+
+            // This listener runs before the menu's bubbling one, so unlock
+            // page scrolling here or the scroll starts under overflow: hidden
+            this.closeMenu(false);
+            this.navigateTo(target);
+          }
+        });
+      });
+
+      // pushState entries do not scroll on their own when revisited
+      window.addEventListener('popstate', () => {
+        const target = this.getHashTarget(window.location.hash);
+
+        if (target) {
+          this.navigateTo(target);
+        } else if (!window.location.hash) {
+          window.scrollTo({ top: 0, behavior: this.getScrollBehavior() });
+        }
+      });
+
+      this.landOnDeepLink();
+    },
+
+    /**
+     * Find the element a #hash points to
+     * @param {string} hash - Hash including the leading #
+     * @returns {HTMLElement|null} Target element
+     */
+    getHashTarget(hash) {
+      if (!hash || hash === '#') {
+        return null;
+      }
+
+      try {
+        return document.getElementById(decodeURIComponent(hash.slice(1)));
+      } catch (error) {
+        return null;
+      }
+    },
+
+    /**
+     * Smooth scrolling unless the user prefers reduced motion
+     * @returns {string} scroll behavior
+     */
+    getScrollBehavior() {
+      return window.matchMedia('(prefers-reduced-motion: reduce)').matches ? 'auto' : 'smooth';
+    },
+
+    /**
+     * Scroll to a target, then move focus to it once the scroll has finished
+     * @param {HTMLElement} target - Section or element to show
+     */
+    navigateTo(target) {
+      // scroll-padding-top keeps the target clear of the sticky header
+      target.scrollIntoView({
+        behavior: this.getScrollBehavior(),
+        block: 'start'
+      });
+
+      this.whenScrollEnds(() => this.focusTarget(target));
+    },
+
+    /**
+     * Call back once scrolling has stopped for a few frames.
+     * Polled rather than using scrollend, which never fires if no scroll was needed.
+     * @param {Function} callback - Called when the page is still
+     */
+    whenScrollEnds(callback) {
+      const stableFrames = 5;
+      const maxWait = 2000;
+      const start = performance.now();
+      let lastY = window.scrollY;
+      let still = 0;
+
+      const check = () => {
+        still = window.scrollY === lastY ? still + 1 : 0;
+        lastY = window.scrollY;
+
+        if (still >= stableFrames || performance.now() - start > maxWait) {
+          callback();
+        } else {
+          requestAnimationFrame(check);
+        }
+      };
+
+      requestAnimationFrame(check);
+    },
+
+    /**
+     * Focus a target's heading so keyboard and screen reader users continue from there.
+     * Headings are made focusable with a tabindex="-1" that is removed again on blur.
+     * @param {HTMLElement} target - Section or element navigated to
+     */
+    focusTarget(target) {
+      const headings = 'h1, h2, h3, h4, h5, h6';
+      const element = target.matches(headings)
+        ? target
+        : target.querySelector(headings) || target;
+
+      if (!element.hasAttribute('tabindex')) {
+        element.setAttribute('tabindex', '-1');
+        element.addEventListener('blur', () => element.removeAttribute('tabindex'), { once: true });
+      }
+
+      element.focus({ preventScroll: true });
+    },
+
+    /**
+     * Keep a deep link like /#specifications on its section while images,
+     * fonts and late content change the layout, until the user scrolls
+     */
+    landOnDeepLink() {
+      const target = this.getHashTarget(window.location.hash);
+      if (!target) {
+        return;
+      }
+
+      let settled = false;
+      const realign = () => {
+        if (!settled) {
+          target.scrollIntoView({ behavior: 'instant', block: 'start' });
+        }
+      };
+
+      const observer = 'ResizeObserver' in window ? new ResizeObserver(realign) : null;
+      const userEvents = ['wheel', 'touchstart', 'keydown', 'pointerdown'];
+
+      const finish = () => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        if (observer) {
+          observer.disconnect();
+        }
+        userEvents.forEach((type) => window.removeEventListener(type, finish));
+      };
+
+      // The user taking over ends the correction without stealing focus
+      userEvents.forEach((type) => window.addEventListener(type, finish, { passive: true }));
+
+      if (observer) {
+        observer.observe(document.body);
+      }
+      realign();
+
+      const loaded = document.readyState === 'complete'
+        ? Promise.resolve()
+        : new Promise((resolve) => window.addEventListener('load', resolve, { once: true }));
+      const fonts = document.fonts ? document.fonts.ready : Promise.resolve();
+
+      Promise.all([loaded, fonts]).then(() => {
+        if (settled) {
+          return;
+        }
+        realign();
+        finish();
+        this.focusTarget(target);
+      });
+    },
+
+    /**
+     * Hide the sticky header while scrolling down and bring it back when scrolling up.
+     * Its height is published as --header-height, which scroll-padding-top uses so
+     * anchor jumps and scrollIntoView() stop below it.
+     */
+    setupStickyHeader() {
+      const header = document.querySelector('.site-header');
+      if (!header) {
+        return;
+      }
+
+      this.header.element = header;
+      this.header.lastScrollY = window.scrollY;
+
+      const measure = () => {
+        const height = header.getBoundingClientRect().height;
+        document.documentElement.style.setProperty('--header-height', `${Math.round(height)}px`);
+      };
+
+      measure();
+      if ('ResizeObserver' in window) {
+        new ResizeObserver(measure).observe(header);
+      } else {
+        window.addEventListener('resize', measure);
+      }
+
+      window.addEventListener('scroll', () => {
+        if (this.header.frame) {
+          return;
+        }
+
+        this.header.frame = requestAnimationFrame(() => {
+          this.header.frame = null;
+          this.updateStickyHeader();
+        });
+      }, { passive: true });
+
+      // Keyboard users tabbing into the nav must be able to see it
+      header.addEventListener('focusin', () => this.setHeaderHidden(false));
+    },
+
+    /**
+     * Show or hide the header based on scroll direction
+     */
+    updateStickyHeader() {
+      const { element, tolerance, lastScrollY } = this.header;
+      const scrollY = window.scrollY;
+      const delta = scrollY - lastScrollY;
+
+      if (Math.abs(delta) < tolerance) {
+        return;
+      }
+
+      this.header.lastScrollY = scrollY;
+
+      // Never hide while the header still covers its own spot at the top
+      const pastHeader = scrollY > element.offsetHeight;
+      this.setHeaderHidden(delta > 0 && pastHeader && !this.menu.isOpen &&
+        !element.contains(document.activeElement));
+    },
+
+    /**
+     * Toggle the hidden state of the header
+     * @param {boolean} hidden - True to slide it out of view
+     */
+    setHeaderHidden(hidden) {
+      this.header.element.classList.toggle(this.header.hiddenClass, hidden);
+    },
+
+    /**
+     * Turn the header nav list into a disclosure menu on narrow screens
+     */
+    setupMobileNav() {
+      const list = document.querySelector('.site-header .nav-menu');
+      const nav = list && list.closest('nav');
+      if (!nav) {
+        return;
+      }
+
+      if (!list.id) {
+        list.id = 'primary-menu';
+      }
+
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'nav-toggle';
+      toggle.setAttribute('aria-expanded', 'false');
+      toggle.setAttribute('aria-controls', list.id);
+      toggle.innerHTML = '<span class="nav-toggle__icon" aria-hidden="true"></span><span>Menu</span>';
+
+      nav.insertBefore(toggle, list);
+      list.classList.add('nav-menu--collapsible');
+
+      Object.assign(this.menu, { nav, toggle, list });
+
+      toggle.addEventListener('click', () => {
+        if (this.menu.isOpen) {
+          this.closeMenu(true);
+        } else {
+          this.openMenu();
+        }
+      });
+
+      // Choosing an in-page link closes the menu; focus then moves to the target.
+      // Links with a target are already closed by enhanceNavigation's handler.
+      list.addEventListener('click', (event) => {
+        if (event.target.closest('a[href^="#"]')) {
+          this.closeMenu(false);
+        }
+      });
+
+      nav.addEventListener('keydown', (event) => this.handleMenuKeydown(event));
+
+      document.addEventListener('click', (event) => {
+        if (this.menu.isOpen && !nav.contains(event.target)) {
+          this.closeMenu(nav.contains(document.activeElement));
+        }
+      });
+
+      window.matchMedia(`(min-width: ${this.menu.breakpoint}px)`).addEventListener('change', (event) => {
+        if (event.matches) {
+          this.closeMenu(false);
+        }
+      });
+    },
+
+    /**
+     * Open the menu, lock page scrolling and focus the first link
+     */
+    openMenu() {
+      const { toggle, list } = this.menu;
+
+      this.menu.isOpen = true;
+      toggle.setAttribute('aria-expanded', 'true');
+      list.classList.add(this.menu.openClass);
+
+      this.menu.bodyOverflow = document.body.style.overflow;
+      document.body.style.overflow = 'hidden';
+
+      const firstLink = list.querySelector('a[href]');
+      if (firstLink) {
+        firstLink.focus();
+      }
+    },
+
+    /**
+     * Close the menu and unlock page scrolling
+     * @param {boolean} returnFocus - Move focus back to the toggle
+     */
+    closeMenu(returnFocus) {
+      if (!this.menu.isOpen) {
+        return;
+      }
+
+      const { toggle, list } = this.menu;
+
+      this.menu.isOpen = false;
+      toggle.setAttribute('aria-expanded', 'false');
+      list.classList.remove(this.menu.openClass);
+      document.body.style.overflow = this.menu.bodyOverflow;
+
+      if (returnFocus) {
+        toggle.focus();
+      }
+    },
+
+    /**
+     * Close on Escape and keep Tab cycling between the toggle and the menu links
+     * @param {KeyboardEvent} event - Keydown inside the nav
+     */
+    handleMenuKeydown(event) {
+      if (!this.menu.isOpen) {
+        return;
+      }
+
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        this.closeMenu(true);
+        return;
+      }
+
+      if (event.key !== 'Tab') {
+        return;
+      }
+
+      const focusable = [this.menu.toggle, ...this.menu.list.querySelectorAll('a[href], button:not([disabled])')];
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+
+      if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    },
+
+    /**
+     * Highlight the header nav link for the section being read
+     */
+    setupScrollSpy() {
+      if (!('IntersectionObserver' in window)) {
+        return;
+      }
+
+      document.querySelectorAll('.nav-menu a[href^="#"]').forEach((link) => {
+        const id = link.getAttribute('href').slice(1);
+        const section = id && document.getElementById(id);
+        if (section) {
+          this.spy.links.set(section, link);
+        }
+      });
+
+      if (this.spy.links.size === 0) {
+        return;
+      }
+
+      // Sections without a nav link still count, so the hero clears the highlight
+      this.spy.sections = Array.from(document.querySelectorAll('main section'));
+
+      const observer = new IntersectionObserver((entries) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) {
+            this.spy.current = entry.target;
+          }
+        });
+        this.scheduleScrollSpy();
+      }, { rootMargin: this.spy.rootMargin });
+
+      this.spy.sections.forEach((section) => observer.observe(section));
+
+      // The first and last sections may never reach the middle of the viewport
+      window.addEventListener('scroll', () => this.scheduleScrollSpy(), { passive: true });
+    },
+
+    /**
+     * Update the scroll-spy once per frame
+     */
+    scheduleScrollSpy() {
+      if (this.spy.frame) {
+        return;
+      }
+
+      this.spy.frame = requestAnimationFrame(() => {
+        this.spy.frame = null;
+        this.updateScrollSpy();
+      });
+    },
+
+    /**
+     * Pick the active section, then update the nav links and the URL hash
+     */
+    updateScrollSpy() {
+      const scrollTop = window.scrollY;
+      const atTop = scrollTop <= 1;
+      const atBottom = window.innerHeight + scrollTop >= document.documentElement.scrollHeight - 1;
+
+      let section = this.spy.current;
+      if (atTop) {
+        section = null;
+      } else if (atBottom) {
+        section = this.spy.sections[this.spy.sections.length - 1];
+      }
+
+      this.spy.links.forEach((link, target) => {
+        const isActive = target === section;
+        link.classList.toggle(this.spy.activeClass, isActive);
+        if (isActive) {
+          link.setAttribute('aria-current', 'location');
+        } else {
+          link.removeAttribute('aria-current');
+        }
+      });
+
+      this.syncHash(section && section.id ? section : null);
+    },
+
+    /**
+     * Mirror the active section in the URL without scrolling or adding history.
+     * Hashes that point outside the tracked sections, like #main, are left alone.
+     * @param {HTMLElement|null} section - Active section, or null for none
+     */
+    syncHash(section) {
+      const current = window.location.hash.slice(1);
+      const tracked = !current || this.spy.sections.some((item) => item.id === current);
+      const hash = section ? `#${section.id}` : '';
+
+      if (!tracked || window.location.hash === hash || !history.replaceState) {
+        return;
+      }
+
+      history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}${hash}`);
+    },
+
+    /**
+     * Validate form fields inline with accessible messages.
+     * Messages come from data-msg-<constraint> (e.g. data-msg-required,
+     * data-msg-pattern) and fall back to the browser's own text.
+     * Fields list async validators by name in data-validate.
+     */
+    enhanceForms() {
+      const forms = document.querySelectorAll('form');
+
+      forms.forEach((form) => {
+        // Errors are shown inline instead of the browser's bubbles
+        form.noValidate = true;
+
+        form.addEventListener('blur', (e) => {
+          if (this.isValidatable(e.target)) {
+            this.formState.touched.add(e.target);
+            this.validateField(e.target, true);
+          }
+        }, true);
+
+        form.addEventListener('input', (e) => {
+          // Only re-check while typing once the field has been left or flagged
+          if (this.isValidatable(e.target) && this.formState.touched.has(e.target)) {
+            this.validateField(e.target, false);
+          }
+        });
+
+        // Capture runs before the form's other submit listeners, which only
+        // see the event once the fields are valid
+        form.addEventListener('submit', (e) => {
+          if (this.formState.approved.has(form)) {
+            this.formState.approved.delete(form);
+            return;
+          }
+
+          e.preventDefault();
+          e.stopImmediatePropagation();
+          this.validateForm(form).then((invalid) => {
+            if (invalid.length > 0) {
+              loggers.progressiveEnhancement.info('Form validation failed');
+              this.showErrorSummary(form, invalid);
+              return;
+            }
+
+            this.hideErrorSummary(form);
+            this.formState.approved.add(form);
+            if (form.requestSubmit) {
+              form.requestSubmit(e.submitter || undefined);
+            } else {
+              form.submit();
+            }
+          });
+        }, true);
+      });
+    },
+
+    /**
+     * Add an async validator that fields can name in data-validate
+     * @param {string} name - Validator name, e.g. promo-code
+     * @param {Function} validator - (value, field) returning or resolving to true
+     *   when valid, an error message string, or false to use data-msg-<name>
+     */
+    registerValidator(name, validator) {
+      this.formState.validators.set(name, validator);
+      // Results from the validator being replaced no longer apply
+      this.formState.settled = new WeakMap();
+    },
+
+    /**
+     * Check whether an element takes part in validation
+     * @param {Element} field - Event target
+     * @returns {boolean} True for inputs, selects and textareas that validate
+     */
+    isValidatable(field) {
+      return !!field && /^(INPUT|SELECT|TEXTAREA)$/.test(field.tagName) && field.willValidate;
+    },
+
+    /**
+     * Validate every field in a form, including async validators
+     * @param {HTMLFormElement} form - Form to validate
+     * @returns {Promise<Array<Object>>} Invalid fields with their messages
+     */
+    validateForm(form) {
+      const fields = Array.from(form.elements).filter((field) => this.isValidatable(field));
+      fields.forEach((field) => this.formState.touched.add(field));
+
+      // Typing while validators run starts a check that skips them, so run
+      // them again until the latest result covers the current value
+      const settle = (field) => this.validateField(field, true).then((message) => {
+        return this.formState.checks.get(field).complete ? message : settle(field);
+      });
+
+      return Promise.all(fields.map(settle))
+        .then((messages) => fields
+          .map((field, index) => ({ field, message: messages[index] }))
+          .filter((result) => result.message));
+    },
+
+    /**
+     * Validate one field and show or clear its error
+     * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} field - Field
+     * @param {boolean} runAsync - Also run the data-validate validators
+     * @returns {Promise<string>} Error message, or '' when valid
+     */
+    validateField(field, runAsync) {
+      const check = { complete: true, result: null };
+      this.formState.checks.set(field, check);
+
+      field.removeAttribute('aria-busy');
+      field.setCustomValidity('');
+      const message = this.getConstraintMessage(field);
+      const names = (field.dataset.validate || '').split(/\s+/).filter(Boolean);
+
+      if (message || !runAsync || names.length === 0 || field.value === '') {
+        check.complete = !!message || names.length === 0 || field.value === '';
+        this.setFieldError(field, message);
+        check.result = Promise.resolve(message);
+        return check.result;
+      }
+
+      const settled = this.formState.settled.get(field);
+      if (settled && settled.value === field.value) {
+        field.setCustomValidity(settled.message);
+        this.setFieldError(field, settled.message);
+        check.result = Promise.resolve(settled.message);
+        return check.result;
+      }
+
+      const value = field.value;
+      field.setAttribute('aria-busy', 'true');
+
+      check.result = this.runValidators(field, names).then((asyncMessage) => {
+        // A newer check for this field has started; its result wins
+        const latest = this.formState.checks.get(field);
+        if (latest !== check) {
+          return latest.result;
+        }
+
+        this.formState.settled.set(field, { value, message: asyncMessage });
+        field.removeAttribute('aria-busy');
+        field.setCustomValidity(asyncMessage);
+        this.setFieldError(field, asyncMessage);
+        return asyncMessage;
+      });
+      return check.result;
+    },
+
+    /**
+     * Find the message for the first failed built-in constraint
+     * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} field - Field
+     * @returns {string} Error message, or '' when valid
+     */
+    getConstraintMessage(field) {
+      const { validity } = field;
+      if (validity.valid) {
+        return '';
+      }
+
+      const constraint = Object.keys(this.formState.constraints).find((key) => validity[key]);
+      const custom = constraint && field.getAttribute(`data-msg-${this.formState.constraints[constraint]}`);
+
+      return custom || field.validationMessage || 'Please check this field.';
+    },
+
+    /**
+     * Run a field's named validators in order until one fails
+     * @param {HTMLElement} field - Field
+     * @param {Array<string>} names - Validator names from data-validate
+     * @returns {Promise<string>} Error message, or '' when all pass
+     */
+    runValidators(field, names) {
+      return names.reduce((previous, name) => previous.then((message) => {
+        const validator = this.formState.validators.get(name);
+        if (message || !validator) {
+          return message;
+        }
+
+        return Promise.resolve()
+          .then(() => validator(field.value, field))
+          .then((result) => {
+            if (typeof result === 'string') {
+              return result;
+            }
+            return result === false
+              ? field.getAttribute(`data-msg-${name}`) || 'Please check this field.'
+              : '';
+          })
+          .catch((error) => {
+            // A failing lookup should not stop the visitor from submitting
+            loggers.progressiveEnhancement.warn(`Validator "${name}" failed:`, error);
+            return '';
+          });
+      }), Promise.resolve(''));
+    },
+
+    /**
+     * Show or clear a field's inline error and its ARIA state
+     * @param {HTMLElement} field - Field
+     * @param {string} message - Error message, or '' to clear
+     */
+    setFieldError(field, message) {
+      if (!field.id) {
+        field.id = `field-${++this.formState.uid}`;
+      }
+
+      const errorId = `${field.id}-error`;
+      let error = document.getElementById(errorId);
+      const describedBy = (field.getAttribute('aria-describedby') || '')
+        .split(/\s+/)
+        .filter((id) => id && id !== errorId);
+
+      if (!message) {
+        field.classList.remove('error');
+        field.removeAttribute('aria-invalid');
+        if (error) {
+          error.remove();
+        }
+      } else {
+        if (!error) {
+          error = document.createElement('p');
+          error.id = errorId;
+          error.className = 'field-error';
+          field.insertAdjacentElement('afterend', error);
+        }
+        error.textContent = message;
+        describedBy.push(errorId);
+        field.classList.add('error');
+        field.setAttribute('aria-invalid', 'true');
+      }
+
+      if (describedBy.length > 0) {
+        field.setAttribute('aria-describedby', describedBy.join(' '));
+      } else {
+        field.removeAttribute('aria-describedby');
+      }
+    },
+
+    /**
+     * List the errors at the top of the form and move focus there
+     * @param {HTMLFormElement} form - Form that failed to submit
+     * @param {Array<Object>} invalid - Invalid fields with their messages
+     */
+    showErrorSummary(form, invalid) {
+      let summary = form.querySelector('.form-error-summary');
+
+      if (!summary) {
+        summary = document.createElement('div');
+        summary.className = 'form-error-summary';
+        // Focusing the summary gets it read; role="alert" would announce it twice
+        summary.tabIndex = -1;
+        form.insertBefore(summary, form.firstChild);
+
+        summary.addEventListener('click', (e) => {
+          const link = e.target.closest('a[href^="#"]');
+          const field = link && document.getElementById(link.getAttribute('href').slice(1));
+          if (field) {
+            e.preventDefault();
+            field.focus();
+          }
+        });
+      }
+
+      const count = invalid.length;
+      summary.innerHTML = `
+        <h2 class="form-error-summary__title">There ${count === 1 ? 'is 1 problem' : `are ${count} problems`} with this form</h2>
+        <ul class="form-error-summary__list"></ul>
+      `;
+
+      const list = summary.querySelector('ul');
+      invalid.forEach(({ field, message }) => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = `#${field.id}`;
+        link.textContent = `${this.getFieldLabel(field)}: ${message}`;
+        item.appendChild(link);
+        list.appendChild(item);
+      });
+
+      summary.hidden = false;
+      summary.focus();
+    },
+
+    /**
+     * Hide the error summary once the form is valid
+     * @param {HTMLFormElement} form - Form
+     */
+    hideErrorSummary(form) {
+      const summary = form.querySelector('.form-error-summary');
+      if (summary) {
+        summary.hidden = true;
+      }
+    },
+
+    /**
+     * Get the visible label text for a field
+     * @param {HTMLElement} field - Field
+     * @returns {string} Label text
+     */
+    getFieldLabel(field) {
+      const label = (field.labels && field.labels[0]) || field.closest('label');
+      const text = label ? label.textContent : field.getAttribute('aria-label') || field.name;
+      return (text || 'Field').trim().replace(/\s+/g, ' ');
+    },
+
+    /**
+     * Add smooth scrolling behavior
+     */
+    addSmoothScrolling() {
+      // Check if smooth scrolling is supported
+      if ('scrollBehavior' in document.documentElement.style) {
+        document.documentElement.style.scrollBehavior = 'smooth';
+      }
+    },
+
+    /**
+     * Optimize animations based on user preferences
+     */
+    optimizeAnimations() {
+      // Check for reduced motion preference
+      const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+      
+      if (prefersReducedMotion.matches) {
+        loggers.progressiveEnhancement.info('Reduced motion preferred, disabling animations');
+        document.documentElement.classList.add('reduce-motion');
+      }
+
+      // Listen for changes
+      prefersReducedMotion.addEventListener('change', (e) => {
+        if (e.matches) {
+          document.documentElement.classList.add('reduce-motion');
+        } else {
+          document.documentElement.classList.remove('reduce-motion');
+        }
+      });
+    }
+  };
+
+  /**
+   * Resource hints for critical assets
+   */
+  const ResourceHints = {
+    manifestSelector: '#resource-hints',
+    prefetchConfig: {
+      maxConcurrent: 2,
+      hoverDelay: 65,
+      idleTimeout: 2000
+    },
+    // Normalized URLs that were prefetched or queued
+    prefetched: new Set(),
+    prefetchQueue: [],
+    activePrefetches: 0,
+    linkObserver: null,
+    supportsSpeculationRules: false,
+    // The single <script type="speculationrules"> and the URLs it lists
+    speculationScript: null,
+    speculationUrls: [],
+
+    /**
+     * Add the hints declared in the #resource-hints manifest, plus preloads
+     * for the hero image and critical font, skipping any already in the head
+     */
+    applyHints() {
+      const manifest = this.readManifest();
+      const hints = manifest.hints.concat(this.getAutoHints());
+      const existing = new Set();
+
+      document.querySelectorAll('link[rel]').forEach((link) => {
+        existing.add(this.getHintKey({
+          rel: link.getAttribute('rel'),
+          href: link.getAttribute('href'),
+          as: link.getAttribute('as')
+        }));
+      });
+
+      let added = 0;
+      hints.forEach((hint) => {
+        const key = this.getHintKey(hint);
+        if (!hint.rel || !hint.href || existing.has(key)) {
+          return;
+        }
+
+        const link = document.createElement('link');
+        Object.keys(hint).forEach((name) => {
+          link.setAttribute(name, hint[name] === true ? '' : hint[name]);
+        });
+        document.head.appendChild(link);
+
+        existing.add(key);
+        added++;
+      });
+
+      loggers.resourceHints.info(`Added ${added} of ${hints.length} resource hints`);
+    },
+
+    /**
+     * Read the inline hint manifest
+     * @returns {Object} Manifest with a hints array
+     */
+    readManifest() {
+      const block = document.querySelector(this.manifestSelector);
+      const text = block ? block.textContent.trim() : '';
+
+      if (text) {
+        try {
+          const manifest = JSON.parse(text);
+          if (Array.isArray(manifest.hints)) {
+            return manifest;
+          }
+        } catch (error) {
+          loggers.resourceHints.warn('Invalid resource hint manifest:', error);
+        }
+      }
+
+      return { hints: [] };
+    },
+
+    /**
+     * Identify a hint by what it fetches, so the same origin or file is only hinted once
+     * @param {Object} hint - rel, href and optional as
+     * @returns {string} Dedupe key
+     */
+    getHintKey(hint) {
+      let href = hint.href || '';
+      try {
+        href = new URL(href, document.baseURI).href;
+      } catch (error) {
+        // Keep the raw value for malformed URLs
+      }
+
+      return `${(hint.rel || '').toLowerCase()}|${href}|${hint.as || ''}`;
+    },
+
+    /**
+     * Build preloads for the hero image and the critical font.
+     * Kept in step with scripts/inject-resource-hints.js.
+     * @returns {Array<Object>} Hints
+     */
+    getAutoHints() {
+      const hints = [];
+
+      const hero = document.querySelector('img[fetchpriority="high"]') ||
+        document.querySelector('.hero-section img');
+      const heroSrc = hero && (hero.getAttribute('src') || hero.dataset.src);
+      if (heroSrc && !heroSrc.startsWith('data:')) {
+        const hint = { rel: 'preload', as: 'image', href: heroSrc, fetchpriority: 'high' };
+        if (hero.getAttribute('srcset')) {
+          hint.imagesrcset = hero.getAttribute('srcset');
+        }
+        if (hero.getAttribute('sizes')) {
+          hint.imagesizes = hero.getAttribute('sizes');
+        }
+        hero.setAttribute('fetchpriority', 'high');
+        hints.push(hint);
+      }
+
+      const font = this.findCriticalFont();
+      if (font) {
+        hints.push({ rel: 'preload', as: 'font', href: font, type: 'font/woff2', crossorigin: 'anonymous' });
+      }
+
+      return hints;
+    },
+
+    /**
+     * Find the woff2 file of the first @font-face in the page's stylesheets
+     * @returns {string|null} Font URL
      */
-    measurePageLoad() {
-      if (!window.performance || !window.performance.timing) {
-        console.warn('[Performance] Performance API not supported');
-        return;
+    findCriticalFont() {
+      for (const sheet of Array.from(document.styleSheets)) {
+        let rules;
+        try {
+          rules = sheet.cssRules;
+        } catch (error) {
+          // Cross-origin stylesheets cannot be read
+          continue;
+        }
+
+        for (const rule of Array.from(rules)) {
+          if (rule.type === CSSRule.FONT_FACE_RULE) {
+            const match = rule.style.getPropertyValue('src').match(/url\(["']?([^"')]+\.woff2)["']?\)/);
+            if (match) {
+              return new URL(match[1], sheet.href || document.baseURI).href;
+            }
+          }
+        }
       }
 
-      window.addEventListener('load', () => {
-        const timing = performance.timing;
-        this.metrics.pageLoadTime = timing.loadEventEnd - timing.navigationStart;
-        
-        console.log('[Performance] Page load time:', this.metrics.pageLoadTime + 'ms');
-      });
+      return null;
     },
 
     /**
-     * Measure Core Web Vitals using PerformanceObserver
+     * Prefetch same-origin pages, such as the Order Now destination,
+     * when the user shows intent: hovering or touching a link, or the
+     * link scrolling into view while the browser is idle.
+     * In lite mode it waits until the media policy leaves lite.
+     * A link can name the page to prefetch in data-prefetch, for links
+     * like Order Now that jump to an in-page section before checkout.
      */
-    measureCoreWebVitals() {
-      if (!window.PerformanceObserver) {
-        console.warn('[Performance] PerformanceObserver not supported');
+    prefetchResources() {
+      if (MediaPolicy.isLite()) {
+        loggers.resourceHints.info('Skipping prefetch to save data');
+
+        // Start once the connection improves or the mode is overridden
+        const onChange = () => {
+          if (!MediaPolicy.isLite()) {
+            document.removeEventListener(MediaPolicy.changeEvent, onChange);
+            this.prefetchResources();
+          }
+        };
+        document.addEventListener(MediaPolicy.changeEvent, onChange);
         return;
       }
 
-      try {
-        // Largest Contentful Paint (LCP)
-        const lcpObserver = new PerformanceObserver((entryList) => {
-          const entries = entryList.getEntries();
-          const lastEntry = entries[entries.length - 1];
-          this.metrics.largestContentfulPaint = lastEntry.renderTime || lastEntry.loadTime;
-          console.log('[Performance] LCP:', this.metrics.largestContentfulPaint + 'ms');
-        });
-        lcpObserver.observe({ entryTypes: ['largest-contentful-paint'] });
-
-        // First Contentful Paint (FCP)
-        const fcpObserver = new PerformanceObserver((entryList) => {
-          const entries = entryList.getEntries();
-          entries.forEach((entry) => {
-            if (entry.name === 'first-contentful-paint') {
-              this.metrics.firstContentfulPaint = entry.startTime;
-              console.log('[Performance] FCP:', this.metrics.firstContentfulPaint + 'ms');
-            }
-          });
-        });
-        fcpObserver.observe({ entryTypes: ['paint'] });
-
-        // Cumulative Layout Shift (CLS)
-        let clsScore = 0;
-        const clsObserver = new PerformanceObserver((entryList) => {
-          const entries = entryList.getEntries();
-          entries.forEach((entry) => {
-            if (!entry.hadRecentInput) {
-              clsScore += entry.value;
-              this.metrics.cumulativeLayoutShift = clsScore;
-            }
-          });
-          console.log('[Performance] CLS:', this.metrics.cumulativeLayoutShift.toFixed(4));
-        });
-        clsObserver.observe({ entryTypes: ['layout-shift'] });
+      document.querySelectorAll('link[rel="prefetch"], link[rel="prerender"]').forEach((link) => {
+        this.prefetched.add(this.normalizeUrl(link.href));
+      });
 
-        // First Input Delay (FID)
-        const fidObserver = new PerformanceObserver((entryList) => {
-          const entries = entryList.getEntries();
-          entries.forEach((entry) => {
-            this.metrics.firstInputDelay = entry.processingStart - entry.startTime;
-            console.log('[Performance] FID:', this.metrics.firstInputDelay + 'ms');
-          });
-        });
-        fidObserver.observe({ entryTypes: ['first-input'] });
+      this.supportsSpeculationRules = typeof HTMLScriptElement !== 'undefined' &&
+        typeof HTMLScriptElement.supports === 'function' &&
+        HTMLScriptElement.supports('speculationrules');
 
-      } catch (error) {
-        console.error('[Performance] Error setting up observers:', error);
-      }
+      this.listenForIntent();
+      this.observeLinks();
     },
 
     /**
-     * Log all collected metrics
+     * Prefetch on hover (after a short delay, so passing over a link does not count) and touchstart
      */
-    logMetrics() {
-      window.addEventListener('load', () => {
-        setTimeout(() => {
-          console.group('[Performance] Metrics Summary');
-          console.table(this.metrics);
-          console.groupEnd();
+    listenForIntent() {
+      let hoverTimer = null;
 
-          // Check against performance budgets
-          this.checkPerformanceBudgets();
-        }, 3000);
+      document.addEventListener('mouseover', (event) => {
+        const link = event.target.closest('a[href]');
+        if (!link || !this.isPrefetchable(link)) {
+          return;
+        }
+
+        clearTimeout(hoverTimer);
+        hoverTimer = setTimeout(() => this.prefetch(this.getPrefetchUrl(link), true), this.prefetchConfig.hoverDelay);
+      });
+
+      document.addEventListener('mouseout', (event) => {
+        const link = event.target.closest('a[href]');
+        if (link && !link.contains(event.relatedTarget)) {
+          clearTimeout(hoverTimer);
+        }
       });
+
+      document.addEventListener('touchstart', (event) => {
+        const link = event.target.closest('a[href]');
+        if (link && this.isPrefetchable(link)) {
+          this.prefetch(this.getPrefetchUrl(link), true);
+        }
+      }, { passive: true });
     },
 
     /**
-     * Check metrics against performance budgets
+     * Queue links for prefetching once they are visible and the browser is idle
      */
-    checkPerformanceBudgets() {
-      const budgets = {
-        pageLoadTime: 3000,
-        firstContentfulPaint: 1800,
-        largestContentfulPaint: 2500,
-        cumulativeLayoutShift: 0.1,
-        firstInputDelay: 100
-      };
+    observeLinks() {
+      if (!('IntersectionObserver' in window)) {
+        return;
+      }
 
-      const violations = [];
+      const links = Array.from(document.querySelectorAll('a[href]')).filter((link) => {
+        return this.isPrefetchable(link);
+      });
 
-      Object.keys(budgets).forEach((metric) => {
-        if (this.metrics[metric] > budgets[metric]) {
-          violations.push({
-            metric,
-            actual: this.metrics[metric],
-            budget: budgets[metric]
-          });
-        }
+      if (links.length === 0) {
+        return;
+      }
+
+      this.linkObserver = new IntersectionObserver((entries) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) {
+            this.linkObserver.unobserve(entry.target);
+            this.whenIdle(() => this.prefetch(this.getPrefetchUrl(entry.target), false));
+          }
+        });
       });
 
-      if (violations.length > 0) {
-        console.warn('[Performance] Budget violations detected:', violations);
+      links.forEach((link) => this.linkObserver.observe(link));
+      loggers.resourceHints.info(`Watching ${links.length} links for prefetch`);
+    },
+
+    /**
+     * Run a callback when the main thread is idle
+     * @param {Function} callback - Work to run
+     */
+    whenIdle(callback) {
+      if ('requestIdleCallback' in window) {
+        window.requestIdleCallback(callback, { timeout: this.prefetchConfig.idleTimeout });
       } else {
-        console.log('[Performance] All metrics within budget ✓');
+        setTimeout(callback, 1);
       }
-    }
-  };
+    },
 
-  /**
-   * Lazy loading implementation using Intersection Observer
-   */
-  const LazyLoader = {
-    observer: null,
-    config: {
-      rootMargin: '50px 0px',
-      threshold: 0.01
+    /**
+     * Get the page a link leads to: its data-prefetch URL, or else its href
+     * @param {HTMLAnchorElement} link - Link element
+     * @returns {string} Page URL
+     */
+    getPrefetchUrl(link) {
+      return link.dataset.prefetch
+        ? new URL(link.dataset.prefetch, document.baseURI).href
+        : link.href;
     },
 
     /**
-     * Initialize lazy loading for images
+     * Check whether a link points at another same-origin page worth prefetching
+     * @param {HTMLAnchorElement} link - Link element
+     * @returns {boolean} True if it can be prefetched
      */
-    init() {
-      if (!('IntersectionObserver' in window)) {
-        console.warn('[LazyLoader] IntersectionObserver not supported, loading all images');
-        this.loadAllImages();
-        return;
+    isPrefetchable(link) {
+      let url;
+      try {
+        url = new URL(this.getPrefetchUrl(link), window.location.href);
+      } catch (error) {
+        return false;
+      }
+
+      if (url.origin !== window.location.origin || !/^https?:$/.test(url.protocol)) {
+        return false;
+      }
+
+      // In-page anchors and downloads are not navigations
+      if (this.normalizeUrl(url.href) === this.normalizeUrl(window.location.href) ||
+          link.hasAttribute('download') || link.closest('[data-no-prefetch]')) {
+        return false;
       }
 
-      this.setupObserver();
-      this.observeImages();
+      return !this.prefetched.has(this.normalizeUrl(url.href));
     },
 
     /**
-     * Setup Intersection Observer
+     * Strip the fragment so #anchors on the same page share one entry
+     * @param {string} href - URL
+     * @returns {string} URL without its hash
      */
-    setupObserver() {
-      this.observer = new IntersectionObserver((entries) => {
-        entries.forEach((entry) => {
-          if (entry.isIntersecting) {
-            this.loadImage(entry.target);
-            this.observer.unobserve(entry.target);
-          }
-        });
-      }, this.config);
+    normalizeUrl(href) {
+      return href.split('#')[0];
     },
 
     /**
-     * Observe all lazy-loadable images
+     * Queue a page for prefetching, skipping ones already requested
+     * @param {string} href - Page URL
+     * @param {boolean} urgent - Shown intent, so it goes ahead of idle prefetches
      */
-    observeImages() {
-      const images = document.querySelectorAll('img[loading="lazy"]');
-      
-      if (images.length === 0) {
-        console.log('[LazyLoader] No lazy-loadable images found');
+    prefetch(href, urgent) {
+      const url = this.normalizeUrl(href);
+
+      // The connection may have changed since init
+      if (this.prefetched.has(url) || MediaPolicy.isLite()) {
         return;
       }
 
-      console.log(`[LazyLoader] Observing ${images.length} images`);
-      
-      images.forEach((img) => {
-        // Skip if already loaded
-        if (img.complete && img.naturalHeight !== 0) {
-          return;
-        }
+      this.prefetched.add(url);
 
-        // Add placeholder background
-        if (!img.style.backgroundColor) {
-          img.style.backgroundColor = '#f0f0f0';
-        }
+      if (urgent) {
+        this.prefetchQueue.unshift(url);
+      } else {
+        this.prefetchQueue.push(url);
+      }
 
-        this.observer.observe(img);
-      });
+      this.drainPrefetchQueue();
     },
 
     /**
-     * Load individual image
-     * @param {HTMLImageElement} img - Image element to load
+     * Start queued prefetches while under the concurrency cap.
+     * With Speculation Rules the whole queue goes into one rule set and
+     * the browser applies its own limit, as it does not report when a
+     * prefetch has finished.
      */
-    loadImage(img) {
-      const src = img.getAttribute('src');
-      const srcset = img.getAttribute('srcset');
-
-      if (!src && !srcset) {
-        console.warn('[LazyLoader] Image has no src or srcset:', img);
+    drainPrefetchQueue() {
+      if (this.supportsSpeculationRules) {
+        this.addSpeculationRules(this.prefetchQueue.splice(0));
         return;
       }
 
-      // Create a new image to preload
-      const tempImg = new Image();
-      
-      tempImg.onload = () => {
-        img.classList.add('loaded');
-        console.log('[LazyLoader] Image loaded:', src || srcset);
-      };
+      while (this.activePrefetches < this.prefetchConfig.maxConcurrent && this.prefetchQueue.length > 0) {
+        const url = this.prefetchQueue.shift();
+        this.activePrefetches++;
 
-      tempImg.onerror = () => {
-        console.error('[LazyLoader] Failed to load image:', src || srcset);
-        img.classList.add('error');
-      };
+        this.startPrefetch(url).finally(() => {
+          this.activePrefetches--;
+          this.drainPrefetchQueue();
+        });
+      }
+    },
 
-      // Start loading
-      if (srcset) {
-        tempImg.srcset = srcset;
+    /**
+     * Add pages to the Speculation Rules list. The new rule set goes in
+     * before the old one is removed, so prefetches already under way for
+     * the earlier URLs are kept.
+     * @param {string[]} urls - Page URLs
+     */
+    addSpeculationRules(urls) {
+      if (urls.length === 0) {
+        return;
       }
-      if (src) {
-        tempImg.src = src;
+
+      loggers.resourceHints.info('Prefetching:', urls.join(', '));
+      this.speculationUrls = this.speculationUrls.concat(urls);
+
+      const script = document.createElement('script');
+      script.type = 'speculationrules';
+      script.textContent = JSON.stringify({
+        prefetch: [{ source: 'list', urls: this.speculationUrls }]
+      });
+      document.head.appendChild(script);
+
+      if (this.speculationScript) {
+        this.speculationScript.remove();
       }
+      this.speculationScript = script;
     },
 
     /**
-     * Fallback: Load all images immediately
+     * Fetch one page with <link rel="prefetch">, or fetch() where that is not supported
+     * @param {string} url - Page URL
+     * @returns {Promise} Settles when the request is done
      */
-    loadAllImages() {
-      const images = document.querySelectorAll('img[loading="lazy"]');
-      images.forEach((img) => {
-        img.removeAttribute('loading');
+    startPrefetch(url) {
+      loggers.resourceHints.info('Prefetching:', url);
+
+      const link = document.createElement('link');
+      if (link.relList && link.relList.supports && link.relList.supports('prefetch')) {
+        return new Promise((resolve) => {
+          link.rel = 'prefetch';
+          link.href = url;
+          link.onload = resolve;
+          link.onerror = () => {
+            loggers.resourceHints.warn('Prefetch failed:', url);
+            resolve();
+          };
+          document.head.appendChild(link);
+        });
+      }
+
+      return fetch(url, { credentials: 'same-origin', priority: 'low' }).catch((error) => {
+        loggers.resourceHints.warn('Prefetch failed:', url, error);
       });
     }
   };
 
   /**
-   * Progressive enhancement features
+   * Service worker registration and update prompt
+   * Offline caching itself lives in sw.js
    */
-  const ProgressiveEnhancement = {
+  const ServiceWorkerManager = {
+    scriptUrl: 'sw.js',
+    registration: null,
+    prompt: null,
+    // Set when the user accepts an update; only then does a new controller reload the page
+    updateAccepted: false,
+    reloading: false,
+
     /**
-     * Initialize progressive enhancements
+     * Register the service worker after load where FeatureDetection reports support
      */
     init() {
-      this.enhanceNavigation();
-      this.enhanceForms();
-      this.addSmoothScrolling();
-      this.optimizeAnimations();
-    },
+      // compatibility.js runs FeatureDetection on DOMContentLoaded, so wait for load
+      const register = () => {
+        const compatibility = window.Compatibility;
+        const apis = compatibility && compatibility.FeatureDetection.features.apis;
 
-    /**
-     * Enhance navigation with smooth transitions
-     */
-    enhanceNavigation() {
-      const navLinks = document.querySelectorAll('a[href^="#"]');
-      
-      navLinks.forEach((link) => {
-        link.addEventListener('click', (e) => {
-          const href = link.getAttribute('href');
-          
-          // Skip if it's just "#"
-          if (href === '#') {
-            return;
-          }
+        if (!apis || !apis.serviceWorkers) {
+          loggers.serviceWorker.info('Service workers not supported');
+          return;
+        }
 
-          const target = document.querySelector(href);
-          
-          if (target) {
-            e.preventDefault();
-            target.scrollIntoView({
-              behavior: 'smooth',
-              block: 'start'
-            });
+        this.register();
+      };
 
-            // Update URL without triggering navigation
-            if (history.pushState) {
-              history.pushState(null, null, href);
-            }
-          }
-        });
-      });
+      if (document.readyState === 'complete') {
+        register();
+      } else {
+        window.addEventListener('load', register, { once: true });
+      }
     },
 
     /**
-     * Enhance forms with validation and feedback
+     * Register sw.js and watch for new versions
      */
-    enhanceForms() {
-      const forms = document.querySelectorAll('form');
-      
-      forms.forEach((form) => {
-        form.addEventListener('submit', (e) => {
-          const isValid = form.checkValidity();
-          
-          if (!isValid) {
-            e.preventDefault();
-            console.log('[ProgressiveEnhancement] Form validation failed');
-            
-            // Show validation messages
-            const invalidFields = form.querySelectorAll(':invalid');
-            invalidFields.forEach((field) => {
-              field.classList.add('error');
-            });
+    register() {
+      navigator.serviceWorker.register(this.scriptUrl)
+        .then((registration) => {
+          this.registration = registration;
+          loggers.serviceWorker.info('Registered with scope:', registration.scope);
+
+          // A version that finished installing before this page loaded
+          if (registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdatePrompt(registration.waiting);
           }
+
+          registration.addEventListener('updatefound', () => {
+            this.trackInstalling(registration.installing);
+          });
+        })
+        .catch((error) => {
+          loggers.serviceWorker.error('Registration failed:', error);
         });
+
+      // The first install also changes the controller through clients.claim(),
+      // which must not reload the page
+      navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!this.updateAccepted || this.reloading) {
+          return;
+        }
+        this.reloading = true;
+        window.location.reload();
       });
     },
 
     /**
-     * Add smooth scrolling behavior
+     * Offer the update once a new worker is installed.
+     * Without a controller this is the first install, so there is nothing to replace.
+     * @param {ServiceWorker} worker - Installing worker
      */
-    addSmoothScrolling() {
-      // Check if smooth scrolling is supported
-      if ('scrollBehavior' in document.documentElement.style) {
-        document.documentElement.style.scrollBehavior = 'smooth';
+    trackInstalling(worker) {
+      if (!worker) {
+        return;
       }
+
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          this.showUpdatePrompt(worker);
+        }
+      });
     },
 
     /**
-     * Optimize animations based on user preferences
+     * Show the "update available" prompt
+     * @param {ServiceWorker} worker - Waiting worker to activate on reload
      */
-    optimizeAnimations() {
-      // Check for reduced motion preference
-      const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
-      
-      if (prefersReducedMotion.matches) {
-        console.log('[ProgressiveEnhancement] Reduced motion preferred, disabling animations');
-        document.documentElement.classList.add('reduce-motion');
+    showUpdatePrompt(worker) {
+      if (this.prompt) {
+        this.prompt.remove();
       }
 
-      // Listen for changes
-      prefersReducedMotion.addEventListener('change', (e) => {
-        if (e.matches) {
-          document.documentElement.classList.add('reduce-motion');
-        } else {
-          document.documentElement.classList.remove('reduce-motion');
-        }
-      });
-    }
-  };
+      loggers.serviceWorker.info('Update available');
 
-  /**
-   * Resource hints for critical assets
-   */
-  const ResourceHints = {
-    /**
-     * Add preconnect hints for external domains
-     */
-    addPreconnectHints() {
-      const domains = [
-        'https://images.unsplash.com'
-      ];
+      const prompt = document.createElement('div');
+      prompt.className = 'update-prompt';
+      prompt.setAttribute('role', 'status');
+      prompt.innerHTML = `
+        <p class="update-prompt__message">A new version of this page is available.</p>
+        <button type="button" class="update-prompt__button" data-action="reload">Reload</button>
+        <button type="button" class="update-prompt__button update-prompt__button--secondary" data-action="dismiss">Not now</button>
+      `;
 
-      domains.forEach((domain) => {
-        const link = document.createElement('link');
-        link.rel = 'preconnect';
-        link.href = domain;
-        link.crossOrigin = 'anonymous';
-        document.head.appendChild(link);
+      prompt.querySelector('[data-action="reload"]').addEventListener('click', () => {
+        // The controllerchange listener reloads once the new worker takes over
+        this.updateAccepted = true;
+        worker.postMessage({ type: 'SKIP_WAITING' });
       });
-    },
 
-    /**
-     * Prefetch next page resources
-     */
-    prefetchResources() {
-      // Only prefetch on fast connections
-      if ('connection' in navigator) {
-        const connection = navigator.connection;
-        if (connection.effectiveType === '4g' && !connection.saveData) {
-          console.log('[ResourceHints] Prefetching resources on fast connection');
-          // Add prefetch logic here if needed
-        }
-      }
+      prompt.querySelector('[data-action="dismiss"]').addEventListener('click', () => {
+        prompt.remove();
+        this.prompt = null;
+      });
+
+      document.body.appendChild(prompt);
+      this.prompt = prompt;
     }
   };
 
@@ -413,12 +3740,24 @@
    * Initialize all performance optimizations
    */
   function initPerformanceOptimizations() {
-    console.log('[Performance] Initializing optimizations...');
+    loggers.performance.info('Initializing optimizations...');
 
     try {
       // Initialize performance monitoring
       PerformanceMonitor.init();
 
+      // Track page weight
+      ResourceMonitor.init();
+
+      // Enable the debug HUD on request
+      DebugHud.init();
+
+      // Report collected metrics from real visitors
+      MetricsReporter.init();
+
+      // Choose media quality for the connection
+      MediaPolicy.init();
+
       // Initialize lazy loading
       LazyLoader.init();
 
@@ -426,12 +3765,15 @@
       ProgressiveEnhancement.init();
 
       // Add resource hints
-      ResourceHints.addPreconnectHints();
+      ResourceHints.applyHints();
       ResourceHints.prefetchResources();
 
-      console.log('[Performance] All optimizations initialized ✓');
+      // Cache the page for repeat and offline visits
+      ServiceWorkerManager.init();
+
+      loggers.performance.info('All optimizations initialized ✓');
     } catch (error) {
-      console.error('[Performance] Error during initialization:', error);
+      loggers.performance.error('Error during initialization:', error);
     }
   }
 
@@ -442,13 +3784,33 @@
     initPerformanceOptimizations();
   }
 
+  // Let page scripts plug in async form validators, e.g.
+  // FormValidation.register('promo-code', (value) => fetch(...).then(...))
+  window.FormValidation = {
+    register: (name, validator) => ProgressiveEnhancement.registerValidator(name, validator)
+  };
+
+  // Let page scripts register content they insert or remove, e.g.
+  // LazyLoader.observe(document.querySelector('.testimonials'))
+  window.LazyLoader = {
+    observe: (root) => LazyLoader.observe(root),
+    unobserve: (root) => LazyLoader.unobserve(root),
+    refresh: () => LazyLoader.refresh()
+  };
+
   // Export for testing purposes
   if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+      PerformanceBudgets,
       PerformanceMonitor,
+      ResourceMonitor,
+      MetricsReporter,
+      DebugHud,
+      MediaPolicy,
       LazyLoader,
       ProgressiveEnhancement,
-      ResourceHints
+      ResourceHints,
+      ServiceWorkerManager
     };
   }
 })();
\ No newline at end of file
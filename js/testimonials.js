@@ -15,6 +15,9 @@
 (function testimonialCarousel() {
   'use strict';
 
+  // Namespaced logger (see logger.js), silent unless ?debug= is set
+  const logger = window.Logger.create('Testimonials');
+
   // Configuration constants
   const CONFIG = Object.freeze({
     AUTO_PLAY_INTERVAL: 5000,
@@ -88,9 +91,9 @@
       startAutoPlay();
 
       // Log successful initialization
-      console.info('[Testimonials] Carousel initialized with', state.totalCards, 'testimonials');
+      logger.info('Carousel initialized with', state.totalCards, 'testimonials');
     } catch (error) {
-      console.error('[Testimonials] Initialization failed:', error);
+      logger.error('Initialization failed:', error);
       // Fail gracefully - testimonials will display in grid layout
     }
   }
@@ -0,0 +1,236 @@
+/**
+ * Critical CSS
+ * Inlines the above-the-fold rules into the built page and loads the full
+ * stylesheet without blocking rendering.
+ *
+ * Rules are taken from the local stylesheets the page links (paths are
+ * resolved against the current directory), so the inlined CSS is always a
+ * subset of what then loads asynchronously. A rule is kept when a selector
+ * targets the base elements, the design tokens, the header or the hero (see
+ * CRITICAL_SELECTORS). Media queries around them and keyframes they animate
+ * with come along. The size of the inlined CSS is reported against the
+ * criticalCssBytes budget from the page's #performance-budgets block.
+ *
+ * Usage:
+ *   node scripts/critical-css.js dist/index.html
+ *
+ * @module critical-css
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { gzipSync } from 'node:zlib';
+import postcss from 'postcss';
+
+// Tested against each selector in a rule's selector list
+const CRITICAL_SELECTORS = [
+  /^:root\b/,
+  /^[^.#]*$/, // Type and universal selectors from the reset, e.g. body, *::before
+  /^\.container\b/,
+  /^\.visually-hidden\b/,
+  /^\.skip-link\b/,
+  /^\.site-header\b/,
+  /^\.logo\b/,
+  /^\.nav-menu\b/,
+  /^\.nav-toggle\b/,
+  /^\.hero[-_]/
+];
+
+const DEFAULT_BUDGET = 14 * 1024;
+const BUDGETS_BLOCK = /<script type="application\/json" id="performance-budgets">([\s\S]*?)<\/script>/i;
+const COMMENT_OR_LINK = /<!--[\s\S]*?-->|<link\b[^>]*>/gi;
+
+/**
+ * Check whether a selector belongs to the first screen
+ * @param {string} selector - Single selector
+ * @returns {boolean} True if critical
+ */
+function isCritical(selector) {
+  return CRITICAL_SELECTORS.some((pattern) => pattern.test(selector.trim()));
+}
+
+/**
+ * Reduce a stylesheet to its critical rules
+ * @param {postcss.Root} root - Parsed stylesheet, modified in place
+ */
+function extractCritical(root) {
+  const animations = new Set();
+
+  root.walkRules((rule) => {
+    // Keyframe steps are handled with their @keyframes below
+    if (rule.parent.type === 'atrule' && /keyframes$/i.test(rule.parent.name)) {
+      return;
+    }
+
+    const selectors = rule.selectors.filter(isCritical);
+    if (selectors.length === 0) {
+      rule.remove();
+      return;
+    }
+
+    rule.selectors = selectors;
+    rule.walkDecls(/^(-\w+-)?animation(-name)?$/, (decl) => {
+      decl.value.split(/[\s,]+/).forEach((token) => animations.add(token));
+    });
+  });
+
+  root.walkAtRules((atRule) => {
+    if (/keyframes$/i.test(atRule.name)) {
+      if (!animations.has(atRule.params)) {
+        atRule.remove();
+      }
+    } else if (atRule.name === 'import' || atRule.name === 'charset') {
+      atRule.remove();
+    }
+  });
+
+  // Media queries and @supports blocks left without rules
+  let removed = true;
+  while (removed) {
+    removed = false;
+    root.walkAtRules((atRule) => {
+      if (atRule.nodes && atRule.nodes.length === 0) {
+        atRule.remove();
+        removed = true;
+      }
+    });
+  }
+}
+
+/**
+ * Strip comments and whitespace so the CSS can be inlined compactly
+ * @param {postcss.Root} root - Stylesheet, modified in place
+ * @returns {string} Minified CSS
+ */
+function minify(root) {
+  root.walkComments((comment) => comment.remove());
+
+  root.walk((node) => {
+    node.raws.before = '';
+    node.raws.after = '';
+
+    if (node.type === 'decl') {
+      node.raws.between = ':';
+      node.value = node.value.replace(/\s+/g, ' ');
+    } else if (node.type === 'rule') {
+      node.raws.between = '';
+      node.raws.semicolon = false;
+      node.selector = node.selectors.join(',');
+    } else if (node.type === 'atrule') {
+      node.raws.between = '';
+      node.raws.afterName = node.params ? ' ' : '';
+      node.raws.semicolon = false;
+      node.params = node.params.replace(/\s+/g, ' ');
+    }
+  });
+
+  root.raws.after = '';
+  return root.toString();
+}
+
+/**
+ * Read the inline CSS budget from the page's performance budgets
+ * @param {string} html - Page source
+ * @returns {number} Budget in bytes
+ */
+function readBudget(html) {
+  const block = html.match(BUDGETS_BLOCK);
+
+  try {
+    const budgets = block && JSON.parse(block[1]);
+    return (budgets && budgets.default && budgets.default.criticalCssBytes) || DEFAULT_BUDGET;
+  } catch (error) {
+    return DEFAULT_BUDGET;
+  }
+}
+
+/**
+ * Check whether a tag is a stylesheet link that blocks rendering
+ * @param {string} tag - Tag or comment source
+ * @returns {boolean} True for <link rel="stylesheet"> without a media attribute
+ */
+function isBlockingStylesheet(tag) {
+  return !tag.startsWith('<!--') && /\srel="stylesheet"/i.test(tag) && !/\smedia=/i.test(tag);
+}
+
+/**
+ * List the local stylesheets the page loads, skipping commented-out links
+ * @param {string} html - Page source
+ * @returns {string[]} Stylesheet paths
+ */
+function findStylesheets(html) {
+  return (html.match(COMMENT_OR_LINK) || [])
+    .filter(isBlockingStylesheet)
+    .map((tag) => (tag.match(/\shref="([^"]*)"/i) || [])[1])
+    .filter((href) => href && !/^(https?:)?\/\//.test(href));
+}
+
+/**
+ * Replace render-blocking stylesheet links with the inline critical CSS
+ * and non-blocking links, keeping a <noscript> fallback
+ * @param {string} html - Page source
+ * @param {string} css - Critical CSS
+ * @returns {string} Updated page source
+ */
+function inlineCritical(html, css) {
+  let inlined = false;
+
+  return html.replace(COMMENT_OR_LINK, (tag) => {
+    if (!isBlockingStylesheet(tag)) {
+      return tag;
+    }
+
+    // print stylesheets do not block rendering; onload switches them on
+    const asyncLink = tag.replace(/\s*\/?>$/, ' media="print" onload="this.media=\'all\'">');
+    const links = `${asyncLink}\n  <noscript>${tag}</noscript>`;
+
+    if (inlined) {
+      return links;
+    }
+
+    inlined = true;
+    return `<style id="critical-css">${css}</style>\n  ${links}`;
+  });
+}
+
+async function main() {
+  const htmlFile = process.argv[2];
+
+  if (!htmlFile) {
+    console.error('Usage: node scripts/critical-css.js <file.html>');
+    process.exitCode = 1;
+    return;
+  }
+
+  const html = await readFile(htmlFile, 'utf8');
+  const stylesheets = findStylesheets(html);
+
+  if (stylesheets.length === 0) {
+    console.log(`[CriticalCSS] No local stylesheets linked from ${htmlFile}`);
+    return;
+  }
+
+  const sources = await Promise.all(stylesheets.map((file) => readFile(resolve(file), 'utf8')));
+  const root = postcss.parse(sources.join('\n'));
+
+  extractCritical(root);
+  const css = minify(root);
+
+  await writeFile(htmlFile, inlineCritical(html, css));
+
+  const budget = readBudget(html);
+  const size = Buffer.byteLength(css);
+  const gzipped = gzipSync(css).length;
+  const summary = `${(size / 1024).toFixed(1)} KB inlined (${(gzipped / 1024).toFixed(1)} KB gzipped), budget ${(budget / 1024).toFixed(1)} KB`;
+
+  if (size > budget) {
+    console.warn(`[CriticalCSS] Over budget: ${summary}`);
+  } else {
+    console.log(`[CriticalCSS] ${summary}`);
+  }
+}
+
+main().catch((error) => {
+  console.error('[CriticalCSS] Failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,129 @@
+/**
+ * Placeholder Generator
+ * Builds low-quality image placeholders (LQIP) for LazyLoader.
+ *
+ * For every local image it produces a tiny base64 preview, the dominant
+ * color and the intrinsic size, which map to data-lqip,
+ * data-placeholder-color and width/height on the <img>.
+ *
+ * Usage:
+ *   node scripts/generate-placeholders.js dist/index.html
+ *     Adds placeholder attributes to each <img data-src> in the HTML file
+ *   node scripts/generate-placeholders.js styles/wireless.png [...]
+ *     Prints the placeholder data for the given images as JSON
+ *
+ * @module generate-placeholders
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { extname, resolve } from 'node:path';
+import sharp from 'sharp';
+
+const PREVIEW_WIDTH = 16;
+const PREVIEW_QUALITY = 40;
+const IMG_TAG = /<img\b[^>]*>/gi;
+
+/**
+ * Generate placeholder data for one image
+ * @param {string} file - Path to the source image
+ * @returns {Promise<Object>} lqip data URL, dominant color, width and height
+ */
+async function createPlaceholder(file) {
+  const image = sharp(file);
+  const [metadata, stats, preview] = await Promise.all([
+    image.metadata(),
+    image.stats(),
+    image
+      .clone()
+      .resize({ width: PREVIEW_WIDTH })
+      .webp({ quality: PREVIEW_QUALITY })
+      .toBuffer()
+  ]);
+
+  const { r, g, b } = stats.dominant;
+  const color = `#${[r, g, b].map((channel) => channel.toString(16).padStart(2, '0')).join('')}`;
+
+  return {
+    lqip: `data:image/webp;base64,${preview.toString('base64')}`,
+    color,
+    width: metadata.width,
+    height: metadata.height
+  };
+}
+
+/**
+ * Read an attribute from a raw <img> tag
+ * @param {string} tag - Tag source
+ * @param {string} name - Attribute name
+ * @returns {string|null} Attribute value
+ */
+function getAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`, 'i'));
+  return match ? match[1] : null;
+}
+
+/**
+ * Add placeholder attributes to every deferred local image in an HTML file
+ * @param {string} htmlFile - HTML file to rewrite in place
+ * @param {string} root - Directory image paths are resolved against
+ */
+async function annotateHtml(htmlFile, root) {
+  const html = await readFile(htmlFile, 'utf8');
+  const cache = new Map();
+  const replacements = [];
+
+  for (const tag of html.match(IMG_TAG) || []) {
+    const src = getAttribute(tag, 'data-src');
+
+    // Remote images and ones that already have a placeholder are left alone
+    if (!src || /^(https?:)?\/\//.test(src) || getAttribute(tag, 'data-lqip')) {
+      continue;
+    }
+
+    if (!cache.has(src)) {
+      cache.set(src, await createPlaceholder(resolve(root, src)));
+    }
+    const placeholder = cache.get(src);
+
+    const attributes = [
+      `data-lqip="${placeholder.lqip}"`,
+      `data-placeholder-color="${placeholder.color}"`
+    ];
+    if (!getAttribute(tag, 'width') && !getAttribute(tag, 'height')) {
+      attributes.push(`width="${placeholder.width}"`, `height="${placeholder.height}"`);
+    }
+
+    replacements.push([tag, tag.replace(/\s*\/?>$/, ` ${attributes.join(' ')}>`)]);
+  }
+
+  const output = replacements.reduce((result, [from, to]) => result.replace(from, to), html);
+  await writeFile(htmlFile, output);
+
+  console.log(`[Placeholders] Added placeholders to ${replacements.length} images in ${htmlFile}`);
+}
+
+async function main() {
+  const inputs = process.argv.slice(2);
+
+  if (inputs.length === 0) {
+    console.error('Usage: node scripts/generate-placeholders.js <file.html | image...>');
+    process.exitCode = 1;
+    return;
+  }
+
+  if (inputs.length === 1 && extname(inputs[0]) === '.html') {
+    await annotateHtml(inputs[0], process.cwd());
+    return;
+  }
+
+  const results = {};
+  for (const file of inputs) {
+    results[file] = await createPlaceholder(file);
+  }
+  console.log(JSON.stringify(results, null, 2));
+}
+
+main().catch((error) => {
+  console.error('[Placeholders] Failed:', error.message);
+  process.exitCode = 1;
+});
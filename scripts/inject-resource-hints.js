@@ -0,0 +1,190 @@
+/**
+ * Resource Hint Injector
+ * Writes the hints from the #resource-hints manifest into the static HTML,
+ * so the browser sees them while parsing instead of after performance.js runs.
+ *
+ * Like ResourceHints.applyHints() in performance.js it also preloads the
+ * hero image (img[fetchpriority="high"] or the first img in .hero-section)
+ * and the woff2 of the first @font-face in the page's local stylesheets,
+ * and skips hints that already have a <link> in the document.
+ *
+ * Usage:
+ *   node scripts/inject-resource-hints.js dist/index.html
+ *
+ * @module inject-resource-hints
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+const MANIFEST_BLOCK = /<script type="application\/json" id="resource-hints">([\s\S]*?)<\/script>/i;
+const LINK_TAG = /<link\b[^>]*>/gi;
+const IMG_TAG = /<img\b[^>]*>/i;
+const HERO_SECTION = /<section\b[^>]*class="[^"]*\bhero-section\b[^"]*"[^>]*>([\s\S]*?)<\/section>/i;
+const FONT_FACE = /@font-face\s*{[^}]*}/gi;
+const WOFF2_URL = /url\(\s*["']?([^"')]+\.woff2)["']?\s*\)/i;
+
+/**
+ * Read an attribute from a raw tag
+ * @param {string} tag - Tag source
+ * @param {string} name - Attribute name
+ * @returns {string|null} Attribute value
+ */
+function getAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}(?:="([^"]*)")?(?=[\\s>/])`, 'i'));
+  if (!match) {
+    return null;
+  }
+  return match[1] === undefined ? '' : match[1];
+}
+
+/**
+ * Identify a hint by what it fetches; matches getHintKey() in performance.js
+ * @param {Object} hint - rel, href and optional as
+ * @param {string} baseUrl - URL relative hrefs are resolved against
+ * @returns {string} Dedupe key
+ */
+function getHintKey(hint, baseUrl) {
+  let href = hint.href || '';
+  try {
+    href = new URL(href, baseUrl).href;
+  } catch (error) {
+    // Keep the raw value for malformed URLs
+  }
+
+  return `${(hint.rel || '').toLowerCase()}|${href}|${hint.as || ''}`;
+}
+
+/**
+ * Render a hint as a <link> tag
+ * @param {Object} hint - Link attributes
+ * @returns {string} Tag source
+ */
+function renderLink(hint) {
+  const attributes = Object.keys(hint).map((name) => {
+    return hint[name] === true ? name : `${name}="${String(hint[name]).replace(/"/g, '&quot;')}"`;
+  });
+  return `<link ${attributes.join(' ')}>`;
+}
+
+/**
+ * Find the hero image preload
+ * @param {string} html - Page source
+ * @returns {Object|null} Hint
+ */
+function findHeroHint(html) {
+  const tags = html.match(/<img\b[^>]*>/gi) || [];
+  let hero = tags.find((tag) => getAttribute(tag, 'fetchpriority') === 'high');
+
+  if (!hero) {
+    const section = html.match(HERO_SECTION);
+    const match = section && section[1].match(IMG_TAG);
+    hero = match ? match[0] : null;
+  }
+
+  const src = hero && (getAttribute(hero, 'src') || getAttribute(hero, 'data-src'));
+  if (!src || src.startsWith('data:')) {
+    return null;
+  }
+
+  const hint = { rel: 'preload', as: 'image', href: src, fetchpriority: 'high' };
+  if (getAttribute(hero, 'srcset')) {
+    hint.imagesrcset = getAttribute(hero, 'srcset');
+  }
+  if (getAttribute(hero, 'sizes')) {
+    hint.imagesizes = getAttribute(hero, 'sizes');
+  }
+  return hint;
+}
+
+/**
+ * Find the critical font preload in the page's local stylesheets
+ * @param {string} html - Page source
+ * @param {string} root - Directory stylesheet paths are resolved against
+ * @returns {Promise<Object|null>} Hint
+ */
+async function findFontHint(html, root) {
+  const stylesheets = (html.match(LINK_TAG) || [])
+    .filter((tag) => getAttribute(tag, 'rel') === 'stylesheet')
+    .map((tag) => getAttribute(tag, 'href'))
+    .filter((href) => href && !/^(https?:)?\/\//.test(href));
+
+  for (const href of stylesheets) {
+    let css;
+    try {
+      css = await readFile(resolve(root, href), 'utf8');
+    } catch (error) {
+      continue;
+    }
+
+    for (const rule of css.match(FONT_FACE) || []) {
+      const match = rule.match(WOFF2_URL);
+      if (match) {
+        // Font URLs are relative to the stylesheet, the preload to the page
+        const font = resolve(dirname(resolve(root, href)), match[1]);
+        return {
+          rel: 'preload',
+          as: 'font',
+          href: font.slice(root.length + 1).split('\\').join('/'),
+          type: 'font/woff2',
+          crossorigin: 'anonymous'
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+async function main() {
+  const htmlFile = process.argv[2];
+
+  if (!htmlFile) {
+    console.error('Usage: node scripts/inject-resource-hints.js <file.html>');
+    process.exitCode = 1;
+    return;
+  }
+
+  const html = await readFile(htmlFile, 'utf8');
+  const block = html.match(MANIFEST_BLOCK);
+
+  if (!block) {
+    console.log(`[ResourceHints] No #resource-hints manifest in ${htmlFile}`);
+    return;
+  }
+
+  const root = dirname(resolve(htmlFile));
+  const manifest = JSON.parse(block[1]);
+  const hints = (manifest.hints || []).concat(
+    [findHeroHint(html), await findFontHint(html, root)].filter(Boolean)
+  );
+
+  const baseUrl = pathToFileURL(resolve(htmlFile)).href;
+  const existing = new Set((html.match(LINK_TAG) || []).map((tag) => getHintKey({
+    rel: getAttribute(tag, 'rel'),
+    href: getAttribute(tag, 'href'),
+    as: getAttribute(tag, 'as')
+  }, baseUrl)));
+
+  const links = [];
+  hints.forEach((hint) => {
+    const key = getHintKey(hint, baseUrl);
+    if (hint.rel && hint.href && !existing.has(key)) {
+      existing.add(key);
+      links.push(renderLink(hint));
+    }
+  });
+
+  // Written straight after the manifest so they sit early in the head
+  const indent = '\n  ';
+  const output = html.replace(block[0], `${block[0]}${links.map((link) => indent + link).join('')}`);
+  await writeFile(htmlFile, output);
+
+  console.log(`[ResourceHints] Added ${links.length} of ${hints.length} hints to ${htmlFile}`);
+}
+
+main().catch((error) => {
+  console.error('[ResourceHints] Failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,116 @@
+/**
+ * Local RUM Collector
+ * Stand-in for the real-user monitoring service. Accepts beacons from
+ * MetricsReporter and appends each payload to a newline-delimited JSON file.
+ *
+ * Usage: npm run rum:collector
+ * Then set <meta name="rum-endpoint" content="http://localhost:8787/rum">
+ *
+ * @module rum-collector
+ */
+
+import { createServer } from 'node:http';
+import { appendFile, mkdir, readFile } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+
+const PORT = parseInt(process.env.PORT || '8787', 10);
+const DATA_FILE = resolve(process.env.RUM_DATA_FILE || 'tmp/rum/beacons.ndjson');
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Read the full request body, rejecting oversized payloads
+ * @param {import('node:http').IncomingMessage} request - Incoming request
+ * @returns {Promise<string>} Request body
+ */
+function readBody(request) {
+  return new Promise((resolveBody, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    request.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Payload too large'));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolveBody(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Store a beacon payload
+ * @param {Object} payload - Parsed beacon payload
+ */
+async function storePayload(payload) {
+  const record = { receivedAt: new Date().toISOString(), payload };
+  await mkdir(dirname(DATA_FILE), { recursive: true });
+  await appendFile(DATA_FILE, `${JSON.stringify(record)}\n`);
+}
+
+/**
+ * Load all stored payloads
+ * @returns {Promise<Array<Object>>} Stored records
+ */
+async function loadPayloads() {
+  try {
+    const contents = await readFile(DATA_FILE, 'utf8');
+    return contents.split('\n').filter(Boolean).map((line) => JSON.parse(line));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Send a response with permissive CORS headers
+ * @param {import('node:http').ServerResponse} response - Server response
+ * @param {number} status - HTTP status code
+ * @param {Object} [body] - JSON body
+ */
+function send(response, status, body) {
+  response.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Content-Type': 'application/json'
+  });
+  response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+const server = createServer(async (request, response) => {
+  const { pathname } = new URL(request.url, `http://${request.headers.host}`);
+
+  if (pathname !== '/rum') {
+    send(response, 404, { error: 'Not found' });
+    return;
+  }
+
+  try {
+    if (request.method === 'OPTIONS') {
+      send(response, 204);
+    } else if (request.method === 'GET') {
+      send(response, 200, await loadPayloads());
+    } else if (request.method === 'POST') {
+      const payload = JSON.parse(await readBody(request));
+      await storePayload(payload);
+      console.log('[Collector] Stored batch from', payload.context && payload.context.url);
+      send(response, 204);
+    } else {
+      send(response, 405, { error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('[Collector] Rejected request:', error.message);
+    send(response, 400, { error: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`[Collector] Listening on http://localhost:${PORT}/rum`);
+  console.log(`[Collector] Writing payloads to ${DATA_FILE}`);
+});
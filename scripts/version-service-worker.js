@@ -0,0 +1,87 @@
+/**
+ * Service Worker Versioning
+ * Stamps sw.js with a hash of the files it precaches, so each deploy
+ * gets new cache names and the previous caches are dropped on activate.
+ *
+ * Precached paths are resolved next to the given sw.js. Files the build
+ * did not write there are copied from the current directory first, so
+ * the worker can install from the output directory and the hash covers
+ * exactly the files that ship.
+ *
+ * Usage:
+ *   node scripts/version-service-worker.js dist/sw.js
+ *     Replaces CACHE_VERSION in the given copy of sw.js
+ *
+ * @module version-service-worker
+ */
+
+import { createHash } from 'node:crypto';
+import { access, copyFile, mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+
+const VERSION_LINE = /const CACHE_VERSION = '[^']*';/;
+const PRECACHE_LIST = /const PRECACHE_URLS = \[([\s\S]*?)\];/;
+const HASH_LENGTH = 10;
+
+/**
+ * Copy a precached file into the output directory unless the build already wrote it
+ * @param {string} file - Path relative to both directories
+ * @param {string} outDir - Directory sw.js is served from
+ * @returns {Promise<boolean>} True if the file was copied
+ */
+async function ensureShipped(file, outDir) {
+  const target = resolve(outDir, file);
+
+  try {
+    await access(target);
+    return false;
+  } catch (error) {
+    await mkdir(dirname(target), { recursive: true });
+    await copyFile(resolve(file), target);
+    return true;
+  }
+}
+
+async function main() {
+  const swFile = process.argv[2];
+
+  if (!swFile) {
+    console.error('Usage: node scripts/version-service-worker.js <sw.js>');
+    process.exitCode = 1;
+    return;
+  }
+
+  const source = await readFile(swFile, 'utf8');
+  const list = source.match(PRECACHE_LIST);
+
+  if (!VERSION_LINE.test(source) || !list) {
+    throw new Error(`${swFile} has no CACHE_VERSION or PRECACHE_URLS`);
+  }
+
+  const outDir = dirname(resolve(swFile));
+  const urls = Array.from(list[1].matchAll(/'([^']+)'/g), (match) => match[1]);
+  const hash = createHash('sha256');
+  let copied = 0;
+
+  // The worker's own code counts too, so strategy changes also roll the caches
+  hash.update(source.replace(VERSION_LINE, ''));
+
+  for (const url of urls) {
+    const file = url.endsWith('/') ? `${url}index.html` : url;
+    if (await ensureShipped(file, outDir)) {
+      copied++;
+    }
+    hash.update(url);
+    hash.update(await readFile(resolve(outDir, file)));
+  }
+
+  const version = hash.digest('hex').slice(0, HASH_LENGTH);
+  await writeFile(swFile, source.replace(VERSION_LINE, `const CACHE_VERSION = '${version}';`));
+
+  console.log(`[ServiceWorker] ${swFile} versioned ${version} (${urls.length} precached files, ${copied} copied)`);
+}
+
+main().catch((error) => {
+  console.error('[ServiceWorker] Failed:', error.message);
+  process.exitCode = 1;
+});
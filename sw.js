@@ -0,0 +1,181 @@
+/**
+ * Service Worker
+ *
+ * Offline support for the landing page:
+ * - Precaches the page, stylesheet and scripts on install
+ * - Serves precached files cache-first and images stale-while-revalidate
+ * - Falls back to offline.html for pages that cannot be reached
+ * - Waits for the page to confirm before a new version takes over
+ *
+ * Caches are named after CACHE_VERSION, which `npm run build:sw` replaces
+ * with a hash of the precached files, so every deploy gets fresh caches
+ * and the old ones are removed on activate. The unbuilt worker ('dev')
+ * never changes, so it goes to the network first for the page's files and
+ * only answers from the cache when offline.
+ *
+ * Registered by ServiceWorkerManager in js/performance.js.
+ */
+
+'use strict';
+
+// Replaced with the build hash by scripts/version-service-worker.js
+const CACHE_VERSION = 'dev';
+const CACHE_PREFIX = 'audiotech';
+
+const CACHES = Object.freeze({
+  PRECACHE: `${CACHE_PREFIX}-precache-${CACHE_VERSION}`,
+  IMAGES: `${CACHE_PREFIX}-images-${CACHE_VERSION}`,
+});
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'offline.html',
+  'styles/style.css',
+  'js/logger.js',
+  'js/compatibility.js',
+  'js/performance.js',
+  'js/testimonials.js',
+];
+
+const OFFLINE_URL = 'offline.html';
+const IS_DEV = CACHE_VERSION === 'dev';
+const MAX_IMAGE_ENTRIES = 60;
+
+/**
+ * Precache the app shell; the new worker then waits for SKIP_WAITING
+ */
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHES.PRECACHE).then((cache) => cache.addAll(PRECACHE_URLS))
+  );
+});
+
+/**
+ * Remove caches from earlier versions and take control of open pages
+ */
+self.addEventListener('activate', (event) => {
+  const current = Object.values(CACHES);
+
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(
+        names
+          .filter((name) => name.startsWith(`${CACHE_PREFIX}-`) && !current.includes(name))
+          .map((name) => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Let the page activate a waiting update once the user accepts it
+ */
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+
+  if (request.method !== 'GET') {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+    return;
+  }
+
+  if (request.destination === 'image') {
+    event.respondWith(staleWhileRevalidate(event, request));
+    return;
+  }
+
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    event.respondWith(IS_DEV ? networkFirst(request) : cacheFirst(request));
+  }
+});
+
+/**
+ * Answer from the precache, falling back to the network
+ * @param {Request} request - Same-origin request
+ * @returns {Promise<Response>} Response
+ */
+function cacheFirst(request) {
+  return caches.match(request, { cacheName: CACHES.PRECACHE }).then((cached) => cached || fetch(request));
+}
+
+/**
+ * Fetch from the network, using the precache only when that fails
+ * @param {Request} request - Same-origin request
+ * @returns {Promise<Response>} Response
+ */
+function networkFirst(request) {
+  return fetch(request).catch((error) => {
+    return caches.match(request, { cacheName: CACHES.PRECACHE }).then((cached) => {
+      if (cached) {
+        return cached;
+      }
+      throw error;
+    });
+  });
+}
+
+/**
+ * Network first for pages, then the cached copy, then the offline view
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Response
+ */
+function handleNavigation(request) {
+  return fetch(request).catch(() => {
+    return caches.match(request, { cacheName: CACHES.PRECACHE, ignoreSearch: true })
+      .then((cached) => cached || caches.match(OFFLINE_URL, { cacheName: CACHES.PRECACHE }));
+  });
+}
+
+/**
+ * Answer from the image cache straight away and refresh it in the background
+ * @param {FetchEvent} event - Fetch event, kept alive until the refresh finishes
+ * @param {Request} request - Image request
+ * @returns {Promise<Response>} Response
+ */
+function staleWhileRevalidate(event, request) {
+  return caches.open(CACHES.IMAGES).then((cache) => {
+    return cache.match(request).then((cached) => {
+      const network = fetch(request)
+        .then((response) => {
+          // Opaque cross-origin responses report ok: false and are not stored
+          if (response.ok) {
+            return cache.put(request, response.clone())
+              .then(() => trimCache(cache, MAX_IMAGE_ENTRIES))
+              .then(() => response);
+          }
+          return response;
+        });
+
+      if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+      }
+
+      return network;
+    });
+  });
+}
+
+/**
+ * Delete the oldest entries once a cache grows past its limit
+ * @param {Cache} cache - Cache to trim
+ * @param {number} maxEntries - Entries to keep
+ * @returns {Promise<void>} Resolves when trimmed
+ */
+function trimCache(cache, maxEntries) {
+  return cache.keys().then((keys) => {
+    const excess = keys.slice(0, Math.max(0, keys.length - maxEntries));
+    return Promise.all(excess.map((key) => cache.delete(key)));
+  });
+}